@@ -1,15 +1,20 @@
 import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, ActivityIndicator, Text } from 'react-native';
+import { View, StyleSheet, ActivityIndicator, Text, AppState } from 'react-native';
 import SignIn from './components/SignIn';
 import SignUp from './components/SignUp';
 import AuthSuccess from './components/AS';
 import { onAuthStateChange, getCurrentSession } from './services/auth';
+import { initializeNotifications, getNotificationPermissionStatus } from './services/notifications';
+import { handleReminderAction } from './services/pills';
 
 export default function App() {
   const [currentScreen, setCurrentScreen] = useState('SignIn'); // 'SignIn', 'SignUp', 'AuthSuccess'
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [authSubscription, setAuthSubscription] = useState(null);
+  const [notificationPermission, setNotificationPermission] = useState(null);
+  const [notificationTarget, setNotificationTarget] = useState(null); // { pillId, scheduledTime } of a tapped reminder
+  const [doseUpdateCount, setDoseUpdateCount] = useState(0);
 
   useEffect(() => {
     console.log('App: Initializing authentication...');
@@ -24,6 +29,54 @@ export default function App() {
     };
   }, []);
 
+  // Notifications are set up once for the whole app
+  useEffect(() => {
+    let notifications;
+    let isUnmounted = false;
+
+    initializeNotifications({
+      onReminderAction: handleNotificationAction,
+      onOpenPill: setNotificationTarget
+    }).then(result => {
+      // Listeners set up after unmounting would never be removed otherwise
+      if (isUnmounted) {
+        result.cleanup();
+        return;
+      }
+      notifications = result;
+      setNotificationPermission(result.permissionStatus);
+    }).catch(error => {
+      console.error('App: Error initializing notifications:', error.message);
+    });
+
+    // The permission may have been changed in the system settings
+    const appStateSubscription = AppState.addEventListener('change', async (nextState) => {
+      if (nextState !== 'active') {
+        return;
+      }
+
+      try {
+        setNotificationPermission(await getNotificationPermissionStatus());
+      } catch (error) {
+        console.error('App: Error checking notification permission:', error.message);
+      }
+    });
+
+    return () => {
+      console.log('App: Cleaning up notification listeners');
+      isUnmounted = true;
+      notifications?.cleanup();
+      appStateSubscription.remove();
+    };
+  }, []);
+
+  const handleNotificationAction = async (response) => {
+    // Taken/skip buttons change doses; reload the schedule to show them
+    if (await handleReminderAction(response)) {
+      setDoseUpdateCount(count => count + 1);
+    }
+  };
+
   const initializeAuth = async () => {
     try {
       console.log('App: Checking initial session...');
@@ -99,7 +152,14 @@ export default function App() {
   // Show authenticated screen
   if (isAuthenticated && currentScreen === 'AuthSuccess') {
     console.log('App: Rendering AuthSuccess screen');
-    return <AuthSuccess />;
+    return (
+      <AuthSuccess
+        notificationPermission={notificationPermission}
+        notificationTarget={notificationTarget}
+        onNotificationTargetHandled={() => setNotificationTarget(null)}
+        doseUpdateCount={doseUpdateCount}
+      />
+    );
   }
 
   // Show authentication screens
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   View, 
   Text, 
@@ -7,64 +7,220 @@ import {
   SafeAreaView,
   ScrollView,
   Alert,
-  RefreshControl
+  RefreshControl,
+  AppState
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
-import * as Notifications from 'expo-notifications';
 import { signOut, getCurrentUser } from '../services/auth';
-import { getUserPills, updatePillStatus, deletePill, getAdherenceStats, getPillLogs } from '../services/pills';
+import {
+  getTodaySchedule,
+  reconcileDoses,
+  getUserPills,
+  syncUserTimeZone,
+  syncReminders,
+  updatePillStatus,
+  skipDose,
+  archivePill,
+  restorePill,
+  completePill,
+  getAdherenceStats,
+  getPillTimes,
+  getPillOwner,
+  isLowStock,
+  PILL_STATUS
+} from '../services/pills';
+import {
+  describeCourse,
+  describeRecurrence,
+  getActiveTimeZone,
+  getNextDoseDate,
+  getMsUntilNextDay,
+  toDateKey
+} from '../services/schedule';
+import { formatDosage } from '../services/dosage';
+import { openNotificationSettings, registerPushToken, PERMISSION_STATUS } from '../services/notifications';
+import {
+  discardFailedMutations,
+  getFailedMutations,
+  getPendingMutationCount,
+  getSessionUser,
+  retryFailedMutations,
+  startBackgroundSync
+} from '../services/localStore';
+import { subscribeToPillChanges } from '../services/realtime';
+import { setActivePatient, SHARE_PERMISSIONS } from '../services/sharing';
+import { getActiveProfile, getProfiles, setActiveProfile, OWN_PROFILE_AVATAR } from '../services/profiles';
 import AddPill from './AddPill';
+import RefillPill from './RefillPill';
+import Statistics from './Statistics';
+import Sharing from './Sharing';
+import ProfileEditor from './ProfileEditor';
+import Trash from './Trash';
+import PillHistory from './PillHistory';
+import DoseLogEditor from './DoseLogEditor';
+import Settings from './Settings';
+import SkipReasonPicker from './SkipReasonPicker';
 
-export default function AuthSuccess() {
+// How long the undo bar stays after a pill is moved to the trash
+const UNDO_TIMEOUT_MS = 6000;
+
+export default function AuthSuccess({
+  notificationPermission,
+  notificationTarget,
+  onNotificationTargetHandled,
+  doseUpdateCount
+}) {
   const [user, setUser] = useState(null);
   const [pills, setPills] = useState([]);
-  const [stats, setStats] = useState({ total: 0, onTime: 0, late: 0 });
+  const [otherPills, setOtherPills] = useState([]);
+  const [completedPills, setCompletedPills] = useState([]);
+  const [stats, setStats] = useState({ total: 0, onTime: 0, late: 0, missed: 0, skipped: 0 });
   const [isLoading, setIsLoading] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [showAddPill, setShowAddPill] = useState(false);
+  const [refillTarget, setRefillTarget] = useState(null);
+  const [editTarget, setEditTarget] = useState(null);
+  const [historyTarget, setHistoryTarget] = useState(null);
+  const [doseLogTarget, setDoseLogTarget] = useState(null);
+  const [skipTarget, setSkipTarget] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  // Pill just moved to the trash, offered for undo
+  const [undoTarget, setUndoTarget] = useState(null);
+  const undoTimerRef = useRef(null);
+  const [showStatistics, setShowStatistics] = useState(false);
+  const [pendingChanges, setPendingChanges] = useState(0);
+  const [failedChanges, setFailedChanges] = useState(0);
+  const [showSharing, setShowSharing] = useState(false);
+  const [activePatient, setActivePatientState] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfile, setActiveProfileState] = useState(null);
+  // undefined while closed, null to add a profile, a profile to edit it
+  const [editedProfile, setEditedProfile] = useState(undefined);
+  const loadedDayRef = useRef(null);
+
+  // Caregivers with read-only access can only follow a patient's schedule
+  const isReadOnly = !!activePatient && activePatient.permission !== SHARE_PERMISSIONS.MANAGE;
 
   useEffect(() => {
     loadUserData();
-    loadPills();
-    requestNotificationPermission();
-    setupNotificationListener();
+    initializeSchedule();
+    return () => clearTimeout(undoTimerRef.current);
   }, []);
 
-  const setupNotificationListener = () => {
-    // Listen for notifications when app is in foreground
-    const foregroundSubscription = Notifications.addNotificationReceivedListener(notification => {
-      console.log('Notification received in foreground:', notification);
-    });
+  // Changes made offline are sent once the connection is back, and changes made
+  // on other devices (or by the patient being viewed) show up here as they happen
+  useEffect(() => {
+    let stopSync;
+    let unsubscribe;
+    let isCurrent = true;
 
-    // Listen for notification responses (when user taps notification)
-    const responseSubscription = Notifications.addNotificationResponseReceivedListener(response => {
-      const { pillId, pillName } = response.notification.request.content.data;
-      console.log('User tapped notification for:', pillName);
-      
-      // Show alert when user taps notification
-      Alert.alert(
-        '💊 İlaç Hatırlatması',
-        `${pillName} alma zamanı!`,
-        [{ text: 'Tamam' }]
-      );
+    getSessionUser().then(sessionUser => {
+      if (sessionUser && isCurrent) {
+        const ownerId = activePatient?.id || sessionUser.id;
+        stopSync = startBackgroundSync(ownerId, { onSynced: loadPills });
+        unsubscribe = subscribeToPillChanges(ownerId, { onChange: loadPills });
+      }
     });
 
     return () => {
-      foregroundSubscription.remove();
-      responseSubscription.remove();
+      isCurrent = false;
+      stopSync?.();
+      unsubscribe?.();
     };
-  };
+  }, [activePatient?.id]);
 
-  const requestNotificationPermission = async () => {
-    const { status } = await Notifications.requestPermissionsAsync();
-    if (status !== 'granted') {
-      Alert.alert(
-        'Bildirim İzni',
-        'İlaç hatırlatmaları için bildirim izni gereklidir.',
-        [{ text: 'Tamam' }]
-      );
+  // This device receives missed dose alerts once notifications are allowed
+  useEffect(() => {
+    if (notificationPermission === PERMISSION_STATUS.GRANTED) {
+      getSessionUser().then(sessionUser => sessionUser && registerPushToken(sessionUser));
     }
-  };
+  }, [notificationPermission]);
+
+  // A reminder button changed a dose
+  useEffect(() => {
+    if (doseUpdateCount) {
+      loadPills();
+    }
+  }, [doseUpdateCount]);
+
+  // Open the dose of a tapped reminder once today's schedule is loaded
+  useEffect(() => {
+    if (!notificationTarget || isLoading || !loadedDayRef.current) {
+      return;
+    }
+
+    // Reminders are for the user's own pills
+    if (activePatient) {
+      handleSelectPatient(null);
+      return;
+    }
+
+    const pill = pills.find(item => item.id === notificationTarget.pillId);
+
+    // The reminder may be for a pill of another profile
+    if (!pill) {
+      getUserPills({ status: null, allProfiles: true }).then(allPills => {
+        const targetPill = allPills.find(item => item.id === notificationTarget.pillId);
+        const profile = profiles.find(item => item.id === targetPill?.profile_id) || null;
+        if (targetPill && profile?.id !== getActiveProfile()?.id) {
+          handleSelectProfile(profile);
+        } else {
+          onNotificationTargetHandled?.();
+        }
+      });
+      return;
+    }
+
+    const dose = pill.doses.find(item => item.time === notificationTarget.scheduledTime);
+
+    if (dose && !dose.taken && !dose.skipped) {
+      handlePillTaken(pill, dose);
+    } else {
+      Alert.alert('💊 İlaç Hatırlatması', `${pill.name} ilacının bu dozu zaten işaretlenmiş.`, [{ text: 'Tamam' }]);
+    }
+
+    onNotificationTargetHandled?.();
+  }, [notificationTarget, isLoading, pills]);
+
+  // Roll over to the new day at local midnight and when the app returns to the foreground
+  useEffect(() => {
+    let midnightTimer;
+
+    const scheduleRollover = () => {
+      midnightTimer = setTimeout(() => {
+        console.log('Day changed, reloading schedule');
+        reconcileDoses().then(loadPills);
+        syncReminders();
+        scheduleRollover();
+      }, getMsUntilNextDay() + 1000);
+    };
+    scheduleRollover();
+
+    const appStateSubscription = AppState.addEventListener('change', async (nextState) => {
+      if (nextState !== 'active') {
+        return;
+      }
+
+      // The user may have travelled to another time zone, and doses may have
+      // been taken or skipped from a reminder while the app was away
+      await syncUserTimeZone();
+      if (loadedDayRef.current !== toDateKey(new Date())) {
+        console.log('App resumed on a new day, reloading schedule');
+      }
+      // Doses missed and courses ended while the app was away
+      await reconcileDoses();
+      loadPills();
+
+      // Reminders that fired while the app was away are replaced by new ones
+      syncReminders();
+    });
+
+    return () => {
+      clearTimeout(midnightTimer);
+      appStateSubscription.remove();
+    };
+  }, []);
 
   const loadUserData = async () => {
     try {
@@ -73,22 +229,46 @@ export default function AuthSuccess() {
       console.log('Current user loaded:', currentUser?.email);
     } catch (error) {
       console.error('Error loading user data:', error.message);
+      // Offline the stored session still knows who is signed in
+      setUser(await getSessionUser());
     }
   };
 
+  const initializeSchedule = async () => {
+    // Day boundaries depend on the profile time zone, so sync it first
+    await syncUserTimeZone();
+    await reconcileDoses();
+    await loadPills();
+    await syncReminders();
+  };
+
   const loadPills = async () => {
     try {
       setIsLoading(true);
-      const userPills = await getUserPills();
+      loadedDayRef.current = toDateKey(new Date());
+      setProfiles(await getProfiles());
+      const userPills = await getTodaySchedule();
       setPills(userPills);
+
+      // Pills that are not due today stay manageable in a separate section
+      const allPills = await getUserPills();
+      const dueIds = new Set(userPills.map(pill => pill.id));
+      setOtherPills(allPills.filter(pill => !dueIds.has(pill.id)));
+      setCompletedPills(await getUserPills({ status: PILL_STATUS.COMPLETED }));
       
       // Calculate custom stats
       const adherenceStats = await getAdherenceStats();
       setStats({
         total: adherenceStats.total,
         onTime: adherenceStats.onTime,
-        late: adherenceStats.late
+        late: adherenceStats.late,
+        missed: adherenceStats.missed,
+        skipped: adherenceStats.skipped
       });
+
+      const owner = await getPillOwner();
+      setPendingChanges(await getPendingMutationCount(owner.id));
+      setFailedChanges((await getFailedMutations(owner.id)).length);
       
       console.log('Pills loaded:', userPills.length);
     } catch (error) {
@@ -99,17 +279,55 @@ export default function AuthSuccess() {
     }
   };
 
+  // Switch between the user's own pills and a patient shared with them (null for own)
+  const handleSelectPatient = async (patient) => {
+    setActivePatient(patient);
+    setActivePatientState(patient);
+    // Profiles belong to the account being viewed
+    setActiveProfile(null);
+    setActiveProfileState(null);
+    setShowSharing(false);
+    await syncUserTimeZone();
+    await loadPills();
+  };
+
+  // Switch between the account holder's own pills and a dependent profile's (null for own)
+  const handleSelectProfile = async (profile) => {
+    setActiveProfile(profile);
+    setActiveProfileState(getActiveProfile());
+    // Day boundaries follow the profile's time zone
+    await syncUserTimeZone();
+    await loadPills();
+  };
+
+  // A changed profile may have a new name or time zone for its reminders
+  const handleProfileSaved = async (profile) => {
+    if (profile.id === getActiveProfile()?.id) {
+      setActiveProfileState(getActiveProfile());
+      await syncUserTimeZone();
+    }
+    await loadPills();
+    await syncReminders();
+  };
+
+  const handleProfileDeleted = async () => {
+    setActiveProfileState(getActiveProfile());
+    await syncUserTimeZone();
+    await loadPills();
+    await syncReminders();
+  };
+
   const handleRefresh = async () => {
     setIsRefreshing(true);
     await loadPills();
     setIsRefreshing(false);
   };
 
-  const handlePillTaken = async (pill) => {
-    if (pill.taken) {
+  const handlePillTaken = async (pill, dose) => {
+    if (dose.taken) {
       Alert.alert(
         'İlaç Zaten Alındı',
-        'Bu ilaç bugün zaten alındı olarak işaretlenmiş.',
+        'Bu doz bugün zaten alındı olarak işaretlenmiş.',
         [{ text: 'Tamam' }]
       );
       return;
@@ -117,20 +335,24 @@ export default function AuthSuccess() {
 
     Alert.alert(
       'İlaç Al',
-      `${pill.name} ilacını şimdi aldınız mı?`,
+      `${pill.name} ilacının ${dose.time} dozunu şimdi aldınız mı?`,
       [
         { text: 'İptal', style: 'cancel' },
+        {
+          text: 'Daha Önce Aldım',
+          onPress: () => setDoseLogTarget({ pill, time: dose.time })
+        },
         { 
           text: 'Evet, Aldım', 
-          onPress: () => markPillAsTaken(pill)
+          onPress: () => markPillAsTaken(pill, dose)
         }
       ]
     );
   };
 
-  const markPillAsTaken = async (pill) => {
+  const markPillAsTaken = async (pill, dose) => {
     try {
-      await updatePillStatus(pill.id, true, pill.time);
+      await updatePillStatus(pill.id, true, dose.time);
       
       // Refresh pills and stats
       await loadPills();
@@ -142,27 +364,51 @@ export default function AuthSuccess() {
     }
   };
 
-  const handlePillReset = async (pill) => {
-    if (!pill.taken) {
+  const handlePillSkip = (pill, dose) => {
+    setSkipTarget({ pill, dose });
+  };
+
+  const handleSkipReason = (reason) => {
+    const { pill, dose } = skipTarget;
+    setSkipTarget(null);
+    markPillAsSkipped(pill, dose, reason);
+  };
+
+  const markPillAsSkipped = async (pill, dose, reason) => {
+    try {
+      await skipDose(pill.id, dose.time, reason);
+
+      // Refresh pills and stats
+      await loadPills();
+
+      console.log('Pill dose skipped:', pill.name);
+    } catch (error) {
+      console.error('Error skipping pill dose:', error.message);
+      Alert.alert('Hata', 'Doz atlanırken bir hata oluştu.', [{ text: 'Tamam' }]);
+    }
+  };
+
+  const handlePillReset = async (pill, dose) => {
+    if (!dose.taken && !dose.skipped) {
       return;
     }
 
     Alert.alert(
       'İlaç Durumunu Sıfırla',
-      `${pill.name} ilacını alınmadı olarak işaretlemek istediğinizden emin misiniz?`,
+      `${pill.name} ilacının ${dose.time} dozunu ${dose.skipped ? 'atlanmadı' : 'alınmadı'} olarak işaretlemek istediğinizden emin misiniz?`,
       [
         { text: 'İptal', style: 'cancel' },
         { 
           text: 'Sıfırla', 
-          onPress: () => resetPillStatus(pill)
+          onPress: () => resetPillStatus(pill, dose)
         }
       ]
     );
   };
 
-  const resetPillStatus = async (pill) => {
+  const resetPillStatus = async (pill, dose) => {
     try {
-      await updatePillStatus(pill.id, false);
+      await updatePillStatus(pill.id, false, dose.time);
       
       // Refresh pills and stats
       await loadPills();
@@ -174,71 +420,107 @@ export default function AuthSuccess() {
     }
   };
 
-  const handleViewPillLogs = async (pill) => {
-    try {
-      const logs = await getPillLogs(pill.id);
-      
-      if (logs.length === 0) {
-        Alert.alert(
-          'İlaç Geçmişi',
-          `${pill.name} için henüz kayıt bulunmuyor.`,
-          [{ text: 'Tamam' }]
-        );
-        return;
-      }
-
-      const logText = logs.slice(0, 5).map(log => {
-        const date = new Date(log.taken_at).toLocaleDateString('tr-TR');
-        const time = new Date(log.taken_at).toLocaleTimeString('tr-TR', { 
-          hour: '2-digit', 
-          minute: '2-digit' 
-        });
-        const statusText = log.status === 'on_time' ? 'Zamanında' :
-                          log.status === 'late' ? `${log.minutes_difference} dk geç` :
-                          `${Math.abs(log.minutes_difference)} dk erken`;
-        return `${date} ${time} - ${statusText}`;
-      }).join('\n');
+  // Changes the server rejected stay on the device until retried or discarded
+  const handleFailedChanges = () => {
+    Alert.alert(
+      'Eşitlenemeyen Değişiklikler',
+      `${failedChanges} değişiklik sunucu tarafından kabul edilmedi. Tekrar deneyebilir veya vazgeçip sunucudaki kayıtlara dönebilirsiniz.`,
+      [
+        { text: 'İptal', style: 'cancel' },
+        { text: 'Vazgeç', style: 'destructive', onPress: () => resolveFailedChanges(discardFailedMutations) },
+        { text: 'Tekrar Dene', onPress: () => resolveFailedChanges(retryFailedMutations) }
+      ]
+    );
+  };
 
-      Alert.alert(
-        `${pill.name} Geçmişi`,
-        `Son ${Math.min(logs.length, 5)} kayıt:\n\n${logText}`,
-        [{ text: 'Tamam' }]
-      );
+  const resolveFailedChanges = async (resolve) => {
+    try {
+      const owner = await getPillOwner();
+      await resolve(owner.id);
+      await loadPills();
+      await syncReminders();
     } catch (error) {
-      console.error('Error viewing pill logs:', error.message);
-      Alert.alert('Hata', 'İlaç geçmişi yüklenirken bir hata oluştu.', [{ text: 'Tamam' }]);
+      console.error('Error resolving failed changes:', error.message);
+      Alert.alert('Hata', 'Değişiklikler eşitlenirken bir hata oluştu.', [{ text: 'Tamam' }]);
     }
   };
 
+  const handleViewPillLogs = (pill) => {
+    setHistoryTarget(pill);
+  };
+
   const handleDeletePill = async (pill) => {
+    const buttons = [{ text: 'İptal', style: 'cancel' }];
+
+    // Finishing the course keeps the history, unlike deleting
+    if (pill.status === PILL_STATUS.ACTIVE) {
+      buttons.push({
+        text: 'Tedaviyi Bitir',
+        onPress: () => performCompletePill(pill)
+      });
+    }
+
     Alert.alert(
       'İlaç Sil',
-      `${pill.name} ilacını ve tüm geçmişini silmek istediğinizden emin misiniz?`,
+      `${pill.name} çöp kutusuna taşınacak. Geçmişi korunur, çöp kutusundan geri yükleyebilirsiniz.`,
       [
-        { text: 'İptal', style: 'cancel' },
+        ...buttons,
         { 
           text: 'Sil', 
           style: 'destructive',
-          onPress: () => performDeletePill(pill)
+          onPress: () => performArchivePill(pill)
         }
       ]
     );
   };
 
-  const performDeletePill = async (pill) => {
+  const performArchivePill = async (pill) => {
     try {
-      await deletePill(pill.id);
+      await archivePill(pill.id);
       
       // Refresh all pills and stats
       await loadPills();
       
-      console.log('Pill deleted:', pill.name);
+      console.log('Pill moved to trash:', pill.name);
+
+      clearTimeout(undoTimerRef.current);
+      setUndoTarget(pill);
+      undoTimerRef.current = setTimeout(() => setUndoTarget(null), UNDO_TIMEOUT_MS);
     } catch (error) {
-      console.error('Error deleting pill:', error.message);
+      console.error('Error archiving pill:', error.message);
       Alert.alert('Hata', 'İlaç silinirken bir hata oluştu.', [{ text: 'Tamam' }]);
     }
   };
 
+  const handleUndoArchive = async () => {
+    const pill = undoTarget;
+    clearTimeout(undoTimerRef.current);
+    setUndoTarget(null);
+
+    try {
+      await restorePill(pill.id);
+      await loadPills();
+      console.log('Pill restored from undo:', pill.name);
+    } catch (error) {
+      console.error('Error restoring pill:', error.message);
+      Alert.alert('Hata', 'İlaç geri yüklenirken bir hata oluştu.', [{ text: 'Tamam' }]);
+    }
+  };
+
+  const performCompletePill = async (pill) => {
+    try {
+      await completePill(pill.id);
+      
+      // Refresh all pills and stats
+      await loadPills();
+      
+      console.log('Pill completed:', pill.name);
+    } catch (error) {
+      console.error('Error completing pill:', error.message);
+      Alert.alert('Hata', 'Tedavi tamamlanırken bir hata oluştu.', [{ text: 'Tamam' }]);
+    }
+  };
+
   const handleSignOut = async () => {
     Alert.alert(
       'Çıkış Yap',
@@ -258,6 +540,8 @@ export default function AuthSuccess() {
     try {
       setIsLoading(true);
       await signOut();
+      setActivePatient(null);
+      setActiveProfile(null);
       console.log('User signed out successfully');
     } catch (error) {
       console.error('Sign out error:', error.message);
@@ -267,11 +551,21 @@ export default function AuthSuccess() {
     }
   };
 
+  const handlePillRefilled = async (updatedPill) => {
+    console.log('Pill refilled, refreshing list...');
+    await loadPills();
+  };
+
   const handlePillAdded = async (newPill) => {
     console.log('New pill added, refreshing list...');
     await loadPills();
   };
 
+  const handlePillUpdated = async (updatedPill) => {
+    console.log('Pill updated, refreshing list...');
+    await loadPills();
+  };
+
   const getUserDisplayName = () => {
     if (user?.user_metadata?.first_name && user?.user_metadata?.last_name) {
       return `${user.user_metadata.first_name} ${user.user_metadata.last_name}`;
@@ -288,6 +582,7 @@ export default function AuthSuccess() {
   const getTodayDate = () => {
     const today = new Date();
     return today.toLocaleDateString('tr-TR', { 
+      timeZone: getActiveTimeZone(),
       weekday: 'long', 
       year: 'numeric', 
       month: 'long', 
@@ -297,50 +592,180 @@ export default function AuthSuccess() {
 
   const sortPillsByTime = (pills) => {
     return pills.sort((a, b) => {
-      const timeA = a.time || '00:00';
-      const timeB = b.time || '00:00';
+      const timeA = a.doses[0]?.time || '00:00';
+      const timeB = b.doses[0]?.time || '00:00';
       return timeA.localeCompare(timeB);
     });
   };
 
+  const renderDoseItem = (pill, dose) => (
+    <View key={dose.time} style={styles.doseRow}>
+      <Text style={styles.pillTime}>{dose.time}</Text>
+      <TouchableOpacity
+        style={[
+          styles.statusButton,
+          dose.taken ? styles.statusButtonTaken :
+            dose.skipped ? styles.statusButtonSkipped :
+            dose.missed ? styles.statusButtonMissed : styles.statusButtonPending
+        ]}
+        onPress={() => dose.taken || dose.skipped ? handlePillReset(pill, dose) : handlePillTaken(pill, dose)}
+        disabled={isReadOnly}
+      >
+        <Text style={[
+          styles.statusButtonText,
+          dose.taken ? styles.statusButtonTextTaken :
+            dose.skipped ? styles.statusButtonTextSkipped :
+            dose.missed ? styles.statusButtonTextMissed : styles.statusButtonTextPending
+        ]}>
+          {dose.taken ? '✓ Alındı' : dose.skipped ? '⏭ Atlandı' : dose.missed ? '✕ Kaçırıldı' : '○ Al'}
+        </Text>
+      </TouchableOpacity>
+      {!dose.taken && !dose.skipped && !isReadOnly && (
+        <TouchableOpacity
+          style={styles.skipButton}
+          onPress={() => handlePillSkip(pill, dose)}
+        >
+          <Text style={styles.skipButtonText}>Atla</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
   const renderPillItem = (pill) => (
     <View key={pill.id} style={styles.pillItem}>
       <View style={styles.pillInfo}>
         <View style={styles.pillHeader}>
           <Text style={styles.pillName}>{pill.name}</Text>
-          <Text style={styles.pillTime}>{pill.time}</Text>
+          <Text style={styles.pillFrequency}>
+            {describeRecurrence(pill)} · Günde {pill.doses.length} kez
+          </Text>
         </View>
+        {!!formatDosage(pill) && (
+          <Text style={styles.pillDosage}>{formatDosage(pill)}</Text>
+        )}
+        {!!describeCourse(pill) && (
+          <Text style={[styles.pillFrequency, styles.pillCourse]}>{describeCourse(pill)}</Text>
+        )}
+        {pill.stock_count !== null && pill.stock_count !== undefined && (
+          <Text style={[styles.pillStock, isLowStock(pill) && styles.pillStockLow]}>
+            {isLowStock(pill) ? '⚠️ ' : ''}Stok: {Number(pill.stock_count).toLocaleString('tr-TR')} adet
+          </Text>
+        )}
+
+        {pill.doses.map(dose => renderDoseItem(pill, dose))}
         
         <View style={styles.pillActions}>
+          {!isReadOnly && (
+            <TouchableOpacity
+              style={styles.logsButton}
+              onPress={() => setEditTarget(pill)}
+            >
+              <Text style={styles.logsButtonText}>✏️</Text>
+            </TouchableOpacity>
+          )}
+
+          {!isReadOnly && (
+            <TouchableOpacity
+              style={styles.logsButton}
+              onPress={() => setRefillTarget(pill)}
+            >
+              <Text style={styles.logsButtonText}>📦</Text>
+            </TouchableOpacity>
+          )}
+
           <TouchableOpacity
-            style={[
-              styles.statusButton,
-              pill.taken ? styles.statusButtonTaken : styles.statusButtonPending
-            ]}
-            onPress={() => pill.taken ? handlePillReset(pill) : handlePillTaken(pill)}
+            style={styles.logsButton}
+            onPress={() => handleViewPillLogs(pill)}
           >
-            <Text style={[
-              styles.statusButtonText,
-              pill.taken ? styles.statusButtonTextTaken : styles.statusButtonTextPending
-            ]}>
-              {pill.taken ? '✓ Alındı' : '○ Al'}
-            </Text>
+            <Text style={styles.logsButtonText}>📊</Text>
           </TouchableOpacity>
           
+          {!isReadOnly && (
+            <TouchableOpacity
+              style={styles.deleteButton}
+              onPress={() => handleDeletePill(pill)}
+            >
+              <Text style={styles.deleteButtonText}>🗑️</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </View>
+  );
+
+  const getNextDoseText = (pill) => {
+    const nextDates = getPillTimes(pill)
+      .map(time => getNextDoseDate(pill, time))
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+
+    if (nextDates.length === 0) {
+      return '';
+    }
+
+    return `Sonraki: ${nextDates[0].toLocaleDateString('tr-TR', {
+      timeZone: getActiveTimeZone(),
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short'
+    })}`;
+  };
+
+  const renderOtherPillItem = (pill) => (
+    <View key={pill.id} style={[styles.pillItem, styles.otherPillItem]}>
+      <View style={styles.pillHeader}>
+        <View style={styles.pillInfo}>
+          <Text style={styles.pillName}>{pill.name}</Text>
+          {!!formatDosage(pill) && (
+            <Text style={styles.pillFrequency}>{formatDosage(pill)}</Text>
+          )}
+          <Text style={styles.pillFrequency}>
+            {describeRecurrence(pill)} · {getPillTimes(pill).join(', ')}
+          </Text>
+          <Text style={styles.pillFrequency}>
+            {pill.status === PILL_STATUS.COMPLETED ? describeCourse(pill) || 'Tamamlandı' : getNextDoseText(pill)}
+          </Text>
+          {pill.status !== PILL_STATUS.COMPLETED && pill.stock_count !== null && pill.stock_count !== undefined && (
+            <Text style={[styles.pillFrequency, styles.otherPillStock, isLowStock(pill) && styles.pillStockLow]}>
+              {isLowStock(pill) ? '⚠️ ' : ''}Stok: {Number(pill.stock_count).toLocaleString('tr-TR')} adet
+            </Text>
+          )}
+        </View>
+
+        {!isReadOnly && pill.status !== PILL_STATUS.COMPLETED && (
           <TouchableOpacity
             style={styles.logsButton}
-            onPress={() => handleViewPillLogs(pill)}
+            onPress={() => setEditTarget(pill)}
           >
-            <Text style={styles.logsButtonText}>📊</Text>
+            <Text style={styles.logsButtonText}>✏️</Text>
           </TouchableOpacity>
-          
+        )}
+
+        {/* A pill not due today may be the one that ran out */}
+        {!isReadOnly && pill.status !== PILL_STATUS.COMPLETED && (
+          <TouchableOpacity
+            style={styles.logsButton}
+            onPress={() => setRefillTarget(pill)}
+          >
+            <Text style={styles.logsButtonText}>📦</Text>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity
+          style={styles.logsButton}
+          onPress={() => handleViewPillLogs(pill)}
+        >
+          <Text style={styles.logsButtonText}>📊</Text>
+        </TouchableOpacity>
+        
+        {!isReadOnly && (
           <TouchableOpacity
             style={styles.deleteButton}
             onPress={() => handleDeletePill(pill)}
           >
             <Text style={styles.deleteButtonText}>🗑️</Text>
           </TouchableOpacity>
-        </View>
+        )}
       </View>
     </View>
   );
@@ -360,24 +785,123 @@ export default function AuthSuccess() {
         <View style={styles.header}>
           <View style={styles.headerTop}>
             <View style={styles.userInfo}>
-              <Text style={styles.welcomeText}>Merhaba,</Text>
-              <Text style={styles.userName}>{getUserDisplayName()}</Text>
+              <Text style={styles.welcomeText}>{activePatient ? 'Takip edilen,' : 'Merhaba,'}</Text>
+              <Text style={styles.userName}>
+                {activeProfile
+                  ? `${activeProfile.avatar} ${activeProfile.name}`
+                  : activePatient ? activePatient.name : getUserDisplayName()}
+              </Text>
               <Text style={styles.dateText}>{getTodayDate()}</Text>
             </View>
             
-            <TouchableOpacity 
-              style={styles.settingsButton}
-              onPress={handleSignOut}
-            >
-              <Text style={styles.settingsIcon}>⚙️</Text>
-            </TouchableOpacity>
+            <View style={styles.headerButtons}>
+              <TouchableOpacity 
+                style={styles.settingsButton}
+                onPress={() => setShowSharing(true)}
+              >
+                <Text style={styles.settingsIcon}>👥</Text>
+              </TouchableOpacity>
+
+              {!isReadOnly && (
+                <TouchableOpacity 
+                  style={styles.settingsButton}
+                  onPress={() => setShowTrash(true)}
+                >
+                  <Text style={styles.settingsIcon}>🗑️</Text>
+                </TouchableOpacity>
+              )}
+
+              <TouchableOpacity 
+                style={styles.settingsButton}
+                onPress={() => setShowStatistics(true)}
+              >
+                <Text style={styles.settingsIcon}>📈</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity 
+                style={styles.settingsButton}
+                onPress={() => setShowSettings(true)}
+              >
+                <Text style={styles.settingsIcon}>⚙️</Text>
+              </TouchableOpacity>
+            </View>
           </View>
           
+          {/* Profile switcher; long press a profile to edit it */}
+          {(profiles.length > 0 || !isReadOnly) && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.profileRow}>
+              <TouchableOpacity
+                style={[styles.profileChip, !activeProfile && styles.profileChipActive]}
+                onPress={() => handleSelectProfile(null)}
+              >
+                <Text style={[styles.profileChipText, !activeProfile && styles.profileChipTextActive]}>
+                  {OWN_PROFILE_AVATAR} {activePatient ? activePatient.name : 'Ben'}
+                </Text>
+              </TouchableOpacity>
+              {profiles.map(profile => (
+                <TouchableOpacity
+                  key={profile.id}
+                  style={[styles.profileChip, activeProfile?.id === profile.id && styles.profileChipActive]}
+                  onPress={() => handleSelectProfile(profile)}
+                  onLongPress={isReadOnly ? undefined : () => setEditedProfile(profile)}
+                >
+                  <Text style={[styles.profileChipText, activeProfile?.id === profile.id && styles.profileChipTextActive]}>
+                    {profile.avatar} {profile.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              {!isReadOnly && (
+                <TouchableOpacity style={styles.profileChip} onPress={() => setEditedProfile(null)}>
+                  <Text style={styles.profileChipText}>＋ Profil</Text>
+                </TouchableOpacity>
+              )}
+            </ScrollView>
+          )}
+
+          {/* Reminders cannot be shown without permission */}
+          {notificationPermission === PERMISSION_STATUS.DENIED && (
+            <TouchableOpacity style={styles.permissionBanner} onPress={openNotificationSettings}>
+              <Text style={styles.permissionText}>
+                🔕 Bildirimler kapalı, ilaç hatırlatmaları gösterilemiyor.
+              </Text>
+              <Text style={styles.permissionAction}>Ayarları Aç</Text>
+            </TouchableOpacity>
+          )}
+
+          {/* Viewing a patient who shared their pills */}
+          {activePatient && (
+            <TouchableOpacity style={styles.syncBanner} onPress={() => handleSelectPatient(null)}>
+              <Text style={styles.syncText}>
+                👥 {activePatient.name} kişisinin ilaçları · {isReadOnly ? 'Salt okunur' : 'Yönetim yetkisi'}
+              </Text>
+              <Text style={styles.patientAction}>Kendi İlaçlarıma Dön</Text>
+            </TouchableOpacity>
+          )}
+
+          {/* Changes saved on the device only */}
+          {pendingChanges > 0 && (
+            <View style={styles.syncBanner}>
+              <Text style={styles.syncText}>
+                ☁️ {pendingChanges} değişiklik cihazda kaydedildi, bağlantı gelince eşitlenecek.
+              </Text>
+            </View>
+          )}
+
+          {/* Changes the server rejected */}
+          {failedChanges > 0 && (
+            <TouchableOpacity style={styles.syncBanner} onPress={handleFailedChanges}>
+              <Text style={styles.syncText}>
+                ⚠️ {failedChanges} değişiklik eşitlenemedi.
+              </Text>
+              <Text style={styles.patientAction}>Ayrıntılar</Text>
+            </TouchableOpacity>
+          )}
+
           {/* Stats Card */}
           <View style={styles.statsCard}>
             <View style={styles.statsItem}>
               <Text style={styles.statsNumber}>{stats.total}</Text>
-              <Text style={styles.statsLabel}>Toplam İlaç</Text>
+              <Text style={styles.statsLabel}>Toplam Doz</Text>
             </View>
             <View style={styles.statsItem}>
               <Text style={styles.statsNumber}>{stats.onTime}</Text>
@@ -387,6 +911,14 @@ export default function AuthSuccess() {
               <Text style={styles.statsNumber}>{stats.late}</Text>
               <Text style={styles.statsLabel}>Geç Alınan</Text>
             </View>
+            <View style={styles.statsItem}>
+              <Text style={styles.statsNumber}>{stats.missed}</Text>
+              <Text style={styles.statsLabel}>Kaçırılan</Text>
+            </View>
+            <View style={styles.statsItem}>
+              <Text style={styles.statsNumber}>{stats.skipped}</Text>
+              <Text style={styles.statsLabel}>Atlanan</Text>
+            </View>
           </View>
         </View>
 
@@ -395,12 +927,14 @@ export default function AuthSuccess() {
           {/* Today's Schedule Header */}
           <View style={styles.sectionHeader}>
             <Text style={styles.sectionTitle}>Bugünün Programı</Text>
-            <TouchableOpacity 
-              style={styles.addButton}
-              onPress={() => setShowAddPill(true)}
-            >
-              <Text style={styles.addButtonText}>+ İlaç Ekle</Text>
-            </TouchableOpacity>
+            {!isReadOnly && (
+              <TouchableOpacity 
+                style={styles.addButton}
+                onPress={() => setShowAddPill(true)}
+              >
+                <Text style={styles.addButtonText}>+ İlaç Ekle</Text>
+              </TouchableOpacity>
+            )}
           </View>
 
           {/* Pills List */}
@@ -409,33 +943,149 @@ export default function AuthSuccess() {
               <View style={styles.loadingContainer}>
                 <Text style={styles.loadingText}>İlaçlar yükleniyor...</Text>
               </View>
-            ) : pills.length === 0 ? (
+            ) : pills.length === 0 && otherPills.length === 0 && completedPills.length === 0 ? (
               <View style={styles.emptyContainer}>
                 <Text style={styles.emptyIcon}>💊</Text>
                 <Text style={styles.emptyTitle}>Henüz İlaç Eklenmemiş</Text>
-                <Text style={styles.emptyMessage}>
-                  İlk ilacınızı eklemek için yukarıdaki "İlaç Ekle" butonuna tıklayın.
-                </Text>
-                <TouchableOpacity 
-                  style={styles.emptyButton}
-                  onPress={() => setShowAddPill(true)}
-                >
-                  <Text style={styles.emptyButtonText}>İlk İlacımı Ekle</Text>
-                </TouchableOpacity>
+                {!isReadOnly && (
+                  <>
+                    <Text style={styles.emptyMessage}>
+                      İlk ilacınızı eklemek için yukarıdaki "İlaç Ekle" butonuna tıklayın.
+                    </Text>
+                    <TouchableOpacity 
+                      style={styles.emptyButton}
+                      onPress={() => setShowAddPill(true)}
+                    >
+                      <Text style={styles.emptyButtonText}>İlk İlacımı Ekle</Text>
+                    </TouchableOpacity>
+                  </>
+                )}
+              </View>
+            ) : pills.length === 0 ? (
+              <View style={styles.loadingContainer}>
+                <Text style={styles.loadingText}>Bugün alınacak ilaç yok.</Text>
               </View>
             ) : (
               sortPillsByTime(pills).map(renderPillItem)
             )}
           </View>
+
+          {/* Pills not due today */}
+          {!isLoading && otherPills.length > 0 && (
+            <View style={styles.pillsList}>
+              <Text style={styles.subsectionTitle}>Bugün Planlanmayanlar</Text>
+              {otherPills.map(renderOtherPillItem)}
+            </View>
+          )}
+
+          {/* Finished courses, kept for their history */}
+          {!isLoading && completedPills.length > 0 && (
+            <View style={styles.pillsList}>
+              <Text style={styles.subsectionTitle}>Tamamlanan Tedaviler</Text>
+              {completedPills.map(renderOtherPillItem)}
+            </View>
+          )}
         </View>
       </ScrollView>
 
+      {/* Undo bar after moving a pill to the trash */}
+      {undoTarget && (
+        <View style={styles.undoBar}>
+          <Text style={styles.undoText} numberOfLines={1}>
+            🗑️ {undoTarget.name} çöp kutusuna taşındı
+          </Text>
+          <TouchableOpacity onPress={handleUndoArchive}>
+            <Text style={styles.undoAction}>GERİ AL</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Add Pill Modal */}
       <AddPill 
         isVisible={showAddPill}
         onClose={() => setShowAddPill(false)}
         onPillAdded={handlePillAdded}
       />
+
+      {/* Edit Pill Modal */}
+      <AddPill
+        isVisible={!!editTarget}
+        pill={editTarget}
+        onClose={() => setEditTarget(null)}
+        onPillUpdated={handlePillUpdated}
+      />
+
+      {/* Refill Modal */}
+      <RefillPill
+        isVisible={!!refillTarget}
+        pill={refillTarget}
+        onClose={() => setRefillTarget(null)}
+        onRefilled={handlePillRefilled}
+      />
+
+      {/* Statistics Modal */}
+      <Statistics
+        isVisible={showStatistics}
+        onClose={() => setShowStatistics(false)}
+      />
+
+      {/* Sharing Modal */}
+      <Sharing
+        isVisible={showSharing}
+        onClose={() => setShowSharing(false)}
+        activePatientId={activePatient?.id}
+        onSelectPatient={handleSelectPatient}
+      />
+
+      {/* Pill History Modal */}
+      <PillHistory
+        isVisible={!!historyTarget}
+        pill={historyTarget}
+        canManage={!isReadOnly}
+        onClose={() => setHistoryTarget(null)}
+        onChanged={loadPills}
+      />
+
+      {/* Dose Taken Earlier Modal */}
+      <DoseLogEditor
+        isVisible={!!doseLogTarget}
+        pill={doseLogTarget?.pill}
+        scheduledTime={doseLogTarget?.time}
+        onClose={() => setDoseLogTarget(null)}
+        onSaved={loadPills}
+      />
+
+      {/* Skip Reason Modal */}
+      <SkipReasonPicker
+        isVisible={!!skipTarget}
+        pill={skipTarget?.pill}
+        dose={skipTarget?.dose}
+        onClose={() => setSkipTarget(null)}
+        onSelect={handleSkipReason}
+      />
+
+      {/* Settings Modal */}
+      <Settings
+        isVisible={showSettings}
+        onClose={() => setShowSettings(false)}
+        onSignOut={handleSignOut}
+      />
+
+      {/* Trash Modal */}
+      <Trash
+        isVisible={showTrash}
+        onClose={() => setShowTrash(false)}
+        onChanged={loadPills}
+      />
+
+      {/* Profile Editor Modal */}
+      <ProfileEditor
+        isVisible={editedProfile !== undefined}
+        profile={editedProfile}
+        onClose={() => setEditedProfile(undefined)}
+        onSaved={handleProfileSaved}
+        onDeleted={handleProfileDeleted}
+      />
     </SafeAreaView>
   );
 }
@@ -478,12 +1128,68 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#94a3b8',
   },
+  headerButtons: {
+    flexDirection: 'row',
+  },
   settingsButton: {
     padding: 8,
   },
   settingsIcon: {
     fontSize: 24,
   },
+  profileRow: {
+    marginBottom: 16,
+  },
+  profileChip: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 8,
+  },
+  profileChipActive: {
+    backgroundColor: 'white',
+  },
+  profileChipText: {
+    color: 'white',
+    fontSize: 14,
+  },
+  profileChipTextActive: {
+    color: '#1a365d',
+    fontWeight: '600',
+  },
+  permissionBanner: {
+    backgroundColor: '#fef3c7',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  permissionText: {
+    color: '#92400e',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  permissionAction: {
+    color: '#1a365d',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  syncBanner: {
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  syncText: {
+    color: 'white',
+    fontSize: 14,
+  },
+  patientAction: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
   statsCard: {
     backgroundColor: 'rgba(255, 255, 255, 0.1)',
     borderRadius: 16,
@@ -533,6 +1239,15 @@ const styles = StyleSheet.create({
   pillsList: {
     marginBottom: 24,
   },
+  subsectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+    marginBottom: 12,
+  },
+  otherPillItem: {
+    opacity: 0.8,
+  },
   pillItem: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -567,9 +1282,42 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     fontWeight: '500',
   },
+  pillFrequency: {
+    fontSize: 14,
+    color: '#6b7280',
+  },
+  pillDosage: {
+    fontSize: 15,
+    color: '#1a365d',
+    fontWeight: '500',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  pillStock: {
+    fontSize: 14,
+    color: '#059669',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  otherPillStock: {
+    color: '#059669',
+  },
+  pillStockLow: {
+    color: '#dc2626',
+    fontWeight: '600',
+  },
+  pillCourse: {
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  doseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
   pillActions: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
+    justifyContent: 'flex-end',
     alignItems: 'center',
   },
   statusButton: {
@@ -577,7 +1325,7 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
     paddingHorizontal: 16,
     borderRadius: 8,
-    marginRight: 8,
+    marginLeft: 12,
   },
   statusButtonTaken: {
     backgroundColor: '#d1fae5',
@@ -585,6 +1333,12 @@ const styles = StyleSheet.create({
   statusButtonPending: {
     backgroundColor: '#fef3c7',
   },
+  statusButtonMissed: {
+    backgroundColor: '#fee2e2',
+  },
+  statusButtonSkipped: {
+    backgroundColor: '#e5e7eb',
+  },
   statusButtonText: {
     textAlign: 'center',
     fontWeight: '600',
@@ -595,6 +1349,24 @@ const styles = StyleSheet.create({
   statusButtonTextPending: {
     color: '#d97706',
   },
+  statusButtonTextMissed: {
+    color: '#dc2626',
+  },
+  statusButtonTextSkipped: {
+    color: '#4b5563',
+  },
+  skipButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    marginLeft: 8,
+  },
+  skipButtonText: {
+    color: '#6b7280',
+    fontWeight: '600',
+  },
   logsButton: {
     padding: 8,
     marginRight: 4,
@@ -608,6 +1380,30 @@ const styles = StyleSheet.create({
   deleteButtonText: {
     fontSize: 18,
   },
+  undoBar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 24,
+    backgroundColor: '#1f2937',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  undoText: {
+    flex: 1,
+    color: 'white',
+    fontSize: 14,
+    marginRight: 12,
+  },
+  undoAction: {
+    color: '#93c5fd',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
   loadingContainer: {
     alignItems: 'center',
     paddingVertical: 40,
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   View, 
   Text, 
@@ -14,18 +14,122 @@ import {
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { addPill } from '../services/pills';
+import { addPill, updatePill, getUserPills } from '../services/pills';
+import {
+  RECURRENCE_TYPES,
+  WEEKDAY_LABELS,
+  WEEKDAY_ORDER,
+  describeRecurrence,
+  fromDateKey,
+  getPillTimes,
+  getRecurrence,
+  toDateKey
+} from '../services/schedule';
+import { DOSE_UNITS, PILL_FORMS } from '../services/dosage';
+import { findDrugByName, getDrug, searchDrugs } from '../services/drugs';
+import { buildInteractionAcknowledgement, checkInteractions, SEVERITY_LABELS } from '../services/interactions';
 
-export default function AddPill({ isVisible, onClose, onPillAdded }) {
-  const [formData, setFormData] = useState({
+const RECURRENCE_OPTIONS = [
+  { type: RECURRENCE_TYPES.DAILY, label: 'Her gün' },
+  { type: RECURRENCE_TYPES.WEEKDAYS, label: 'Belirli günler' },
+  { type: RECURRENCE_TYPES.EVERY_N_DAYS, label: 'N günde bir' },
+  { type: RECURRENCE_TYPES.EVERY_N_WEEKS, label: 'N haftada bir' },
+];
+
+const COURSE_OPTIONS = [
+  { type: 'none', label: 'Süresiz' },
+  { type: 'end_date', label: 'Bitiş tarihi' },
+  { type: 'days', label: 'Gün sayısı' },
+  { type: 'doses', label: 'Doz sayısı' },
+];
+
+// Strength, form and active ingredient of a catalogue entry, e.g. "500 mg Tablet · Parasetamol"
+const describeDrug = (drug) => {
+  const strength = drug.doseAmount
+    ? `${drug.doseAmount.toLocaleString('tr-TR')} ${DOSE_UNITS[drug.doseUnit]} `
+    : '';
+  return `${strength}${PILL_FORMS[drug.form]} · ${drug.ingredient}`;
+};
+
+const createInitialFormData = () => {
+  const endDate = new Date();
+  endDate.setDate(endDate.getDate() + 6);
+
+  return {
     name: '',
-    time: new Date()
-  });
+    // Catalogue entry the name was picked from, if any
+    drugId: null,
+    times: [new Date()],
+    recurrenceType: RECURRENCE_TYPES.DAILY,
+    weekdays: [],
+    interval: '2',
+    startDate: new Date(),
+    courseType: 'none',
+    endDate,
+    courseLength: '7',
+    doseAmount: '',
+    doseUnit: 'mg',
+    form: 'tablet',
+    doseQuantity: '1',
+    stockCount: '',
+    refillThreshold: ''
+  };
+};
+
+// Form values of an existing pill, for editing it
+const createFormDataFromPill = (pill) => {
+  const recurrence = getRecurrence(pill);
+  // Midday keeps the calendar day whatever the device's time zone
+  const keyToDate = (key) => {
+    const date = fromDateKey(key);
+    date.setHours(12);
+    return date;
+  };
+
+  return {
+    ...createInitialFormData(),
+    name: pill.name,
+    drugId: pill.drug_id || null,
+    times: getPillTimes(pill).map(time => {
+      const [hours, minutes] = time.split(':').map(Number);
+      const date = new Date();
+      date.setHours(hours, minutes, 0, 0);
+      return date;
+    }),
+    recurrenceType: recurrence.type,
+    weekdays: recurrence.days,
+    interval: String(recurrence.interval),
+    // Older pills have no start date; it stays unset until one is picked
+    startDate: pill.start_date ? keyToDate(pill.start_date) : null,
+    courseType: pill.end_date ? 'end_date' : pill.total_doses ? 'doses' : 'none',
+    endDate: pill.end_date ? keyToDate(pill.end_date) : createInitialFormData().endDate,
+    courseLength: pill.total_doses ? String(pill.total_doses) : '7',
+    doseAmount: pill.dose_amount ? String(pill.dose_amount) : '',
+    doseUnit: pill.dose_unit || 'mg',
+    form: pill.form || 'tablet',
+    doseQuantity: String(pill.dose_quantity || 1)
+  };
+};
+
+// Adds a pill, or edits `pill` when given (stock is changed through RefillPill)
+export default function AddPill({ isVisible, onClose, onPillAdded, pill = null, onPillUpdated }) {
+  const [formData, setFormData] = useState(createInitialFormData);
+  const isEditing = !!pill;
 
   const [errors, setErrors] = useState({});
   const [showTimePicker, setShowTimePicker] = useState(false);
+  const [editingTimeIndex, setEditingTimeIndex] = useState(0);
+  const [datePickerField, setDatePickerField] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
 
+  // Prefill with the pill being edited
+  useEffect(() => {
+    if (isVisible) {
+      setFormData(pill ? createFormDataFromPill(pill) : createInitialFormData());
+      setErrors({});
+    }
+  }, [isVisible, pill]);
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     // Clear error when user starts typing
@@ -34,16 +138,83 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
     }
   };
 
+  // Typing a different name unlinks the catalogue entry picked before
+  const handleNameChange = (value) => {
+    const drug = getDrug(formData.drugId);
+    if (drug && value.trim() !== drug.name) {
+      setFormData(prev => ({ ...prev, drugId: null }));
+    }
+    handleInputChange('name', value);
+  };
+
+  // Fill the name, form and strength from a catalogue entry
+  const handleSelectDrug = (drug) => {
+    setFormData(prev => ({
+      ...prev,
+      name: drug.name,
+      drugId: drug.id,
+      form: drug.form,
+      doseAmount: drug.doseAmount ? String(drug.doseAmount) : prev.doseAmount,
+      doseUnit: drug.doseUnit || prev.doseUnit
+    }));
+    setErrors(prev => ({ ...prev, name: '', dosage: '' }));
+  };
+
+  const selectedDrug = getDrug(formData.drugId);
+  const drugSuggestions = selectedDrug ? [] : searchDrugs(formData.name);
+
   const handleTimeChange = (event, selectedTime) => {
     if (Platform.OS === 'android') {
       setShowTimePicker(false);
     }
     
     if (selectedTime && event.type !== 'dismissed') {
-      handleInputChange('time', selectedTime);
+      const times = formData.times.map((time, index) => (
+        index === editingTimeIndex ? selectedTime : time
+      ));
+      handleInputChange('times', times);
     }
   };
 
+  const handleDateChange = (event, selectedDate) => {
+    const field = datePickerField;
+    if (Platform.OS === 'android') {
+      setDatePickerField(null);
+    }
+    
+    if (selectedDate && event.type !== 'dismissed') {
+      handleInputChange(field, selectedDate);
+    }
+  };
+
+  const formatDate = (date) => {
+    return date.toLocaleDateString('tr-TR', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    });
+  };
+
+  const openTimePicker = (index) => {
+    setEditingTimeIndex(index);
+    setShowTimePicker(true);
+  };
+
+  const handleAddTimeSlot = () => {
+    // Suggest a slot a few hours after the last one
+    const lastTime = formData.times[formData.times.length - 1];
+    const nextTime = new Date(lastTime);
+    nextTime.setHours(nextTime.getHours() + 6);
+    handleInputChange('times', [...formData.times, nextTime]);
+  };
+
+  const handleRemoveTimeSlot = (index) => {
+    if (formData.times.length <= 1) {
+      return;
+    }
+    handleInputChange('times', formData.times.filter((_, i) => i !== index));
+  };
+
   const formatTime = (date) => {
     return date.toLocaleTimeString('tr-TR', { 
       hour: '2-digit', 
@@ -52,6 +223,65 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
     });
   };
 
+  const handleToggleWeekday = (day) => {
+    const weekdays = formData.weekdays.includes(day)
+      ? formData.weekdays.filter(d => d !== day)
+      : [...formData.weekdays, day];
+    handleInputChange('weekdays', weekdays);
+  };
+
+  const buildRecurrence = () => {
+    switch (formData.recurrenceType) {
+      case RECURRENCE_TYPES.WEEKDAYS:
+        return { type: RECURRENCE_TYPES.WEEKDAYS, days: [...formData.weekdays].sort() };
+      case RECURRENCE_TYPES.EVERY_N_DAYS:
+      case RECURRENCE_TYPES.EVERY_N_WEEKS:
+        return { type: formData.recurrenceType, interval: parseInt(formData.interval, 10) };
+      default:
+        return { type: RECURRENCE_TYPES.DAILY };
+    }
+  };
+
+  // Accept both "2,5" and "2.5"
+  const parseDecimal = (value) => Number(String(value).replace(',', '.'));
+
+  const buildDosage = () => ({
+    doseAmount: formData.doseAmount ? parseDecimal(formData.doseAmount) : null,
+    doseUnit: formData.doseUnit,
+    form: formData.form,
+    doseQuantity: parseDecimal(formData.doseQuantity)
+  });
+
+  // Stock is only tracked when a count is entered; the first pack size defaults to it
+  const buildStock = () => {
+    if (!formData.stockCount) {
+      return {};
+    }
+    return {
+      stockCount: Number(formData.stockCount),
+      packSize: Number(formData.stockCount),
+      refillThreshold: formData.refillThreshold ? Number(formData.refillThreshold) : 0
+    };
+  };
+
+  const buildCourse = () => {
+    const course = { startDate: formData.startDate ? toDateKey(formData.startDate) : null };
+    const length = parseInt(formData.courseLength, 10);
+
+    if (formData.courseType === 'end_date') {
+      course.endDate = toDateKey(formData.endDate);
+    } else if (formData.courseType === 'days') {
+      course.durationDays = length;
+    } else if (formData.courseType === 'doses') {
+      course.totalDoses = length;
+    }
+
+    return course;
+  };
+
+  const isIntervalRecurrence = formData.recurrenceType === RECURRENCE_TYPES.EVERY_N_DAYS ||
+    formData.recurrenceType === RECURRENCE_TYPES.EVERY_N_WEEKS;
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -61,6 +291,41 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
       newErrors.name = 'İlaç adı en az 2 karakter olmalıdır';
     }
 
+    const timeStrings = formData.times.map(formatTime);
+    if (new Set(timeStrings).size !== timeStrings.length) {
+      newErrors.times = 'Aynı saat birden fazla kez eklenemez';
+    }
+
+    const doseAmount = parseDecimal(formData.doseAmount);
+    if (formData.doseAmount && !(doseAmount > 0)) {
+      newErrors.dosage = 'Geçerli bir doz miktarı girin';
+    } else if (!(parseDecimal(formData.doseQuantity) > 0)) {
+      newErrors.dosage = 'Geçerli bir adet girin';
+    }
+
+    if (formData.refillThreshold && !formData.stockCount) {
+      newErrors.stock = 'Uyarı eşiği için mevcut stok girin';
+    }
+
+    if (formData.recurrenceType === RECURRENCE_TYPES.WEEKDAYS && formData.weekdays.length === 0) {
+      newErrors.recurrence = 'En az bir gün seçin';
+    } else if (isIntervalRecurrence) {
+      const interval = Number(formData.interval);
+      if (!Number.isInteger(interval) || interval < 1) {
+        newErrors.recurrence = 'Geçerli bir aralık girin';
+      }
+    }
+
+    if (formData.courseType === 'end_date' && formData.startDate &&
+      toDateKey(formData.endDate) < toDateKey(formData.startDate)) {
+      newErrors.course = 'Bitiş tarihi başlangıçtan önce olamaz';
+    } else if (formData.courseType === 'days' || formData.courseType === 'doses') {
+      const length = Number(formData.courseLength);
+      if (!Number.isInteger(length) || length < 1) {
+        newErrors.course = 'Geçerli bir sayı girin';
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -70,41 +335,84 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
       return;
     }
 
+    const pillData = {
+      name: formData.name.trim(),
+      // A name typed in full still links to its catalogue entry
+      drugId: formData.drugId || findDrugByName(formData.name)?.id || null,
+      // Format times as HH:MM strings for the service
+      times: formData.times.map(formatTime).sort(),
+      recurrence: buildRecurrence(),
+      ...buildCourse(),
+      ...buildDosage(),
+      ...(isEditing ? {} : buildStock())
+    };
+
+    // Check the new pill against the ones already taken before saving it;
+    // an edited pill only when it became another drug
+    const isNewDrug = !isEditing || pill.name !== pillData.name || (pill.drug_id || null) !== pillData.drugId;
+    let warnings = [];
+    try {
+      if (isNewDrug) {
+        const otherPills = (await getUserPills()).filter(item => item.id !== pill?.id);
+        warnings = checkInteractions(pillData, otherPills);
+      }
+    } catch (error) {
+      console.error('Interaction check error:', error.message);
+    }
+
+    if (warnings.length === 0) {
+      await savePill(pillData);
+      return;
+    }
+
+    const warningText = warnings
+      .map(warning => `${SEVERITY_LABELS[warning.severity]} · ${warning.pillName}\n${warning.description}`)
+      .join('\n\n');
+
+    Alert.alert(
+      '⚠️ İlaç Etkileşimi',
+      `${pillData.name} kullandığınız ilaçlarla etkileşebilir:\n\n${warningText}\n\nDoktorunuza veya eczacınıza danışmadan birlikte kullanmayın.`,
+      [
+        { text: 'Vazgeç', style: 'cancel' },
+        {
+          text: 'Anladım, Kaydet',
+          style: 'destructive',
+          onPress: () => savePill({
+            ...pillData,
+            interactionAcknowledgement: buildInteractionAcknowledgement(warnings)
+          })
+        }
+      ]
+    );
+  };
+
+  const savePill = async (pillData) => {
     setIsLoading(true);
     
     try {
-      console.log('Adding new pill:', formData.name);
+      console.log(isEditing ? 'Updating pill:' : 'Adding new pill:', pillData.name);
       
-      // Format time as HH:MM string for the service
-      const timeString = formatTime(formData.time);
+      const savedPill = isEditing ? await updatePill(pill.id, pillData) : await addPill(pillData);
       
-      const pillData = {
-        name: formData.name.trim(),
-        time: timeString
-      };
-
-      const newPill = await addPill(pillData);
-      
-      console.log('Pill added successfully:', pillData.name);
+      console.log('Pill saved successfully:', pillData.name);
       
       // Show success alert
       Alert.alert(
         'Başarılı! 🎉',
-        `${pillData.name} ilacı ${timeString} saatinde hatırlatma ile eklendi.`,
+        `${pillData.name} ilacı ${pillData.times.join(', ')} saatlerinde hatırlatma ile ${isEditing ? 'güncellendi' : 'eklendi'} (${describeRecurrence(pillData)}).`,
         [
           {
             text: 'Tamam',
             onPress: () => {
               // Reset form
-              setFormData({
-                name: '',
-                time: new Date()
-              });
+              setFormData(createInitialFormData());
               setErrors({});
               
               // Close modal and refresh parent
-              if (onPillAdded) {
-                onPillAdded(newPill);
+              if (isEditing) {
+                onPillUpdated?.(savedPill);
+              } else if (onPillAdded) {
+                onPillAdded(savedPill);
               }
               onClose();
             }
@@ -113,9 +421,9 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
       );
       
     } catch (error) {
-      console.error('Add pill error:', error.message);
+      console.error('Save pill error:', error.message);
       
-      let errorMessage = 'İlaç eklenirken bir hata oluştu.';
+      let errorMessage = isEditing ? 'İlaç güncellenirken bir hata oluştu.' : 'İlaç eklenirken bir hata oluştu.';
       
       // Handle specific errors
       if (error.message.includes('User not authenticated')) {
@@ -132,10 +440,7 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
 
   const handleCancel = () => {
     // Reset form data
-    setFormData({
-      name: '',
-      time: new Date()
-    });
+    setFormData(createInitialFormData());
     setErrors({});
     onClose();
   };
@@ -165,8 +470,10 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
                   <Text style={styles.pillText}>💊</Text>
                 </View>
               </View>
-              <Text style={styles.appTitle}>Yeni İlaç Ekle</Text>
-              <Text style={styles.subtitle}>İlaç bilgilerinizi girin</Text>
+              <Text style={styles.appTitle}>{isEditing ? 'İlacı Düzenle' : 'Yeni İlaç Ekle'}</Text>
+              <Text style={styles.subtitle}>
+                {isEditing ? 'Geçmiş kayıtlar eski programa göre değerlendirilmeye devam eder' : 'İlaç bilgilerinizi girin'}
+              </Text>
             </View>
 
             {/* Add Pill Form */}
@@ -181,34 +488,274 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
                   placeholder="Örn: Aspirin, Vitamin D, Antibiyotik"
                   placeholderTextColor="#9ca3af"
                   value={formData.name}
-                  onChangeText={(value) => handleInputChange('name', value)}
+                  onChangeText={handleNameChange}
                   autoCapitalize="words"
+                  autoCorrect={false}
                   editable={!isLoading}
                 />
+                {drugSuggestions.length > 0 && (
+                  <View style={styles.suggestionList}>
+                    {drugSuggestions.map(drug => (
+                      <TouchableOpacity
+                        key={drug.id}
+                        style={styles.suggestionItem}
+                        onPress={() => handleSelectDrug(drug)}
+                        disabled={isLoading}
+                      >
+                        <Text style={styles.suggestionName}>{drug.name}</Text>
+                        <Text style={styles.suggestionDetail}>
+                          {describeDrug(drug)}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+                {selectedDrug && (
+                  <Text style={styles.drugHint}>✓ {selectedDrug.ingredient} · {selectedDrug.atc}</Text>
+                )}
                 {errors.name && <Text style={styles.errorText}>{errors.name}</Text>}
               </View>
 
-              {/* Time Field */}
+              {/* Dosage Fields */}
+              <View style={styles.fieldContainer}>
+                <Text style={styles.label}>Form</Text>
+                <View style={styles.chipRow}>
+                  {Object.entries(PILL_FORMS).map(([form, label]) => (
+                    <TouchableOpacity
+                      key={form}
+                      style={[styles.chip, formData.form === form && styles.chipSelected]}
+                      onPress={() => handleInputChange('form', form)}
+                      disabled={isLoading}
+                    >
+                      <Text style={[styles.chipText, formData.form === form && styles.chipTextSelected]}>
+                        {label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              <View style={styles.fieldContainer}>
+                <Text style={styles.label}>Doz (isteğe bağlı)</Text>
+                <View style={styles.intervalRow}>
+                  <TextInput
+                    style={[styles.input, styles.doseInput, errors.dosage && styles.inputError]}
+                    placeholder="Örn: 500"
+                    placeholderTextColor="#9ca3af"
+                    value={formData.doseAmount}
+                    onChangeText={(value) => handleInputChange('doseAmount', value.replace(/[^0-9.,]/g, ''))}
+                    keyboardType="decimal-pad"
+                    editable={!isLoading}
+                  />
+                  <TextInput
+                    style={[styles.input, styles.intervalInput, errors.dosage && styles.inputError]}
+                    value={formData.doseQuantity}
+                    onChangeText={(value) => handleInputChange('doseQuantity', value.replace(/[^0-9.,]/g, ''))}
+                    keyboardType="decimal-pad"
+                    editable={!isLoading}
+                  />
+                  <Text style={styles.intervalLabel}>adet / doz</Text>
+                </View>
+                <View style={[styles.chipRow, styles.unitRow]}>
+                  {Object.entries(DOSE_UNITS).map(([unit, label]) => (
+                    <TouchableOpacity
+                      key={unit}
+                      style={[styles.chip, formData.doseUnit === unit && styles.chipSelected]}
+                      onPress={() => handleInputChange('doseUnit', unit)}
+                      disabled={isLoading}
+                    >
+                      <Text style={[styles.chipText, formData.doseUnit === unit && styles.chipTextSelected]}>
+                        {label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {errors.dosage && <Text style={styles.errorText}>{errors.dosage}</Text>}
+              </View>
+
+              {/* Stock Fields */}
+              {!isEditing && (
+                <View style={styles.fieldContainer}>
+                  <Text style={styles.label}>Stok Takibi (isteğe bağlı)</Text>
+                  <View style={styles.intervalRow}>
+                    <TextInput
+                      style={[styles.input, styles.doseInput, errors.stock && styles.inputError]}
+                      placeholder="Elinizdeki adet"
+                      placeholderTextColor="#9ca3af"
+                      value={formData.stockCount}
+                      onChangeText={(value) => handleInputChange('stockCount', value.replace(/[^0-9]/g, ''))}
+                      keyboardType="number-pad"
+                      editable={!isLoading}
+                    />
+                    <TextInput
+                      style={[styles.input, styles.doseInput, errors.stock && styles.inputError]}
+                      placeholder="Uyarı eşiği"
+                      placeholderTextColor="#9ca3af"
+                      value={formData.refillThreshold}
+                      onChangeText={(value) => handleInputChange('refillThreshold', value.replace(/[^0-9]/g, ''))}
+                      keyboardType="number-pad"
+                      editable={!isLoading}
+                    />
+                  </View>
+                  {errors.stock && <Text style={styles.errorText}>{errors.stock}</Text>}
+                </View>
+              )}
+
+              {/* Time Fields */}
+              <View style={styles.fieldContainer}>
+                <Text style={styles.label}>Hatırlatma Saatleri</Text>
+                {formData.times.map((time, index) => (
+                  <View key={index} style={styles.timeSlotRow}>
+                    <TouchableOpacity 
+                      style={[styles.timeInput, styles.timeSlotInput, errors.times && styles.inputError]}
+                      onPress={() => openTimePicker(index)}
+                      disabled={isLoading}
+                    >
+                      <Text style={styles.timeText}>
+                        {formatTime(time)}
+                      </Text>
+                      <Text style={styles.timeIcon}>🕐</Text>
+                    </TouchableOpacity>
+                    {formData.times.length > 1 && (
+                      <TouchableOpacity 
+                        style={styles.removeTimeButton}
+                        onPress={() => handleRemoveTimeSlot(index)}
+                        disabled={isLoading}
+                      >
+                        <Text style={styles.removeTimeButtonText}>✕</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                ))}
+                <TouchableOpacity 
+                  style={styles.addTimeButton}
+                  onPress={handleAddTimeSlot}
+                  disabled={isLoading}
+                >
+                  <Text style={styles.addTimeButtonText}>+ Saat Ekle</Text>
+                </TouchableOpacity>
+                {errors.times && <Text style={styles.errorText}>{errors.times}</Text>}
+              </View>
+
+              {/* Recurrence Field */}
+              <View style={styles.fieldContainer}>
+                <Text style={styles.label}>Tekrar</Text>
+                <View style={styles.chipRow}>
+                  {RECURRENCE_OPTIONS.map(option => (
+                    <TouchableOpacity
+                      key={option.type}
+                      style={[styles.chip, formData.recurrenceType === option.type && styles.chipSelected]}
+                      onPress={() => handleInputChange('recurrenceType', option.type)}
+                      disabled={isLoading}
+                    >
+                      <Text style={[styles.chipText, formData.recurrenceType === option.type && styles.chipTextSelected]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {formData.recurrenceType === RECURRENCE_TYPES.WEEKDAYS && (
+                  <View style={styles.chipRow}>
+                    {WEEKDAY_ORDER.map(day => (
+                      <TouchableOpacity
+                        key={day}
+                        style={[styles.chip, formData.weekdays.includes(day) && styles.chipSelected]}
+                        onPress={() => handleToggleWeekday(day)}
+                        disabled={isLoading}
+                      >
+                        <Text style={[styles.chipText, formData.weekdays.includes(day) && styles.chipTextSelected]}>
+                          {WEEKDAY_LABELS[day]}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+
+                {isIntervalRecurrence && (
+                  <View style={styles.intervalRow}>
+                    <TextInput
+                      style={[styles.input, styles.intervalInput, errors.recurrence && styles.inputError]}
+                      value={formData.interval}
+                      onChangeText={(value) => handleInputChange('interval', value.replace(/[^0-9]/g, ''))}
+                      keyboardType="number-pad"
+                      maxLength={2}
+                      editable={!isLoading}
+                    />
+                    <Text style={styles.intervalLabel}>
+                      {formData.recurrenceType === RECURRENCE_TYPES.EVERY_N_DAYS ? 'günde bir' : 'haftada bir'}
+                    </Text>
+                  </View>
+                )}
+                {errors.recurrence && <Text style={styles.errorText}>{errors.recurrence}</Text>}
+              </View>
+
+              {/* Course Fields */}
               <View style={styles.fieldContainer}>
-                <Text style={styles.label}>Hatırlatma Saati</Text>
+                <Text style={styles.label}>Başlangıç Tarihi</Text>
                 <TouchableOpacity 
-                  style={[styles.timeInput, errors.time && styles.inputError]}
-                  onPress={() => setShowTimePicker(true)}
+                  style={styles.timeInput}
+                  onPress={() => setDatePickerField('startDate')}
                   disabled={isLoading}
                 >
                   <Text style={styles.timeText}>
-                    {formatTime(formData.time)}
+                    {formData.startDate ? formatDate(formData.startDate) : 'Belirtilmedi'}
                   </Text>
-                  <Text style={styles.timeIcon}>🕐</Text>
+                  <Text style={styles.timeIcon}>📅</Text>
                 </TouchableOpacity>
-                {errors.time && <Text style={styles.errorText}>{errors.time}</Text>}
+              </View>
+
+              <View style={styles.fieldContainer}>
+                <Text style={styles.label}>Tedavi Süresi</Text>
+                <View style={styles.chipRow}>
+                  {COURSE_OPTIONS.map(option => (
+                    <TouchableOpacity
+                      key={option.type}
+                      style={[styles.chip, formData.courseType === option.type && styles.chipSelected]}
+                      onPress={() => handleInputChange('courseType', option.type)}
+                      disabled={isLoading}
+                    >
+                      <Text style={[styles.chipText, formData.courseType === option.type && styles.chipTextSelected]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {formData.courseType === 'end_date' && (
+                  <TouchableOpacity 
+                    style={[styles.timeInput, errors.course && styles.inputError]}
+                    onPress={() => setDatePickerField('endDate')}
+                    disabled={isLoading}
+                  >
+                    <Text style={styles.timeText}>{formatDate(formData.endDate)}</Text>
+                    <Text style={styles.timeIcon}>📅</Text>
+                  </TouchableOpacity>
+                )}
+
+                {(formData.courseType === 'days' || formData.courseType === 'doses') && (
+                  <View style={styles.intervalRow}>
+                    <TextInput
+                      style={[styles.input, styles.intervalInput, errors.course && styles.inputError]}
+                      value={formData.courseLength}
+                      onChangeText={(value) => handleInputChange('courseLength', value.replace(/[^0-9]/g, ''))}
+                      keyboardType="number-pad"
+                      maxLength={3}
+                      editable={!isLoading}
+                    />
+                    <Text style={styles.intervalLabel}>
+                      {formData.courseType === 'days' ? 'gün' : 'doz'}
+                    </Text>
+                  </View>
+                )}
+                {errors.course && <Text style={styles.errorText}>{errors.course}</Text>}
               </View>
 
               {/* Info Box */}
               <View style={styles.infoBox}>
                 <Text style={styles.infoIcon}>ℹ️</Text>
                 <Text style={styles.infoText}>
-                  İlaç her gün bu saatte alınacak şekilde hatırlatılacaktır. ±10 dakika tolerans ile zamanında/geç takibi yapılır.
+                  İlaç seçilen günlerde ve saatlerde alınacak şekilde hatırlatılacaktır. Tedavi süresi dolunca hatırlatmalar durur ve ilaç geçmişiyle birlikte tamamlananlara taşınır. ±10 dakika tolerans ile zamanında/geç takibi yapılır.
                 </Text>
               </View>
 
@@ -220,7 +767,9 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
                   disabled={isLoading}
                 >
                   <Text style={styles.addButtonText}>
-                    {isLoading ? 'İlaç Ekleniyor...' : 'İlaç Ekle'}
+                    {isEditing
+                      ? (isLoading ? 'Kaydediliyor...' : 'Değişiklikleri Kaydet')
+                      : (isLoading ? 'İlaç Ekleniyor...' : 'İlaç Ekle')}
                   </Text>
                 </TouchableOpacity>
 
@@ -266,7 +815,7 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
                 
                 <View style={styles.timePickerContainer}>
                   <DateTimePicker
-                    value={formData.time}
+                    value={formData.times[editingTimeIndex] || new Date()}
                     mode="time"
                     is24Hour={true}
                     display={Platform.OS === 'ios' ? 'spinner' : 'default'}
@@ -279,6 +828,50 @@ export default function AddPill({ isVisible, onClose, onPillAdded }) {
             </View>
           </Modal>
         )}
+
+        {/* Native Date Picker Modal */}
+        {datePickerField && (
+          <Modal
+            animationType="slide"
+            transparent={true}
+            visible={!!datePickerField}
+            onRequestClose={() => setDatePickerField(null)}
+          >
+            <View style={styles.timePickerModalOverlay}>
+              <View style={styles.timePickerModalContent}>
+                <View style={styles.timePickerHeader}>
+                  <TouchableOpacity 
+                    style={styles.timePickerCancel}
+                    onPress={() => setDatePickerField(null)}
+                  >
+                    <Text style={styles.timePickerCancelText}>İptal</Text>
+                  </TouchableOpacity>
+                  
+                  <Text style={styles.timePickerTitle}>Tarih Seçin</Text>
+                  
+                  <TouchableOpacity 
+                    style={styles.timePickerDone}
+                    onPress={() => setDatePickerField(null)}
+                  >
+                    <Text style={styles.timePickerDoneText}>Tamam</Text>
+                  </TouchableOpacity>
+                </View>
+                
+                <View style={styles.timePickerContainer}>
+                  <DateTimePicker
+                    value={formData[datePickerField] || new Date()}
+                    mode="date"
+                    minimumDate={datePickerField === 'endDate' ? formData.startDate || undefined : undefined}
+                    display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                    onChange={handleDateChange}
+                    textColor="#1a365d"
+                    style={styles.timePicker}
+                  />
+                </View>
+              </View>
+            </View>
+          </Modal>
+        )}
       </SafeAreaView>
     </Modal>
   );
@@ -385,6 +978,81 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#f9fafb',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#1a365d',
+    borderColor: '#1a365d',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  intervalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  intervalInput: {
+    width: 72,
+    textAlign: 'center',
+    marginRight: 12,
+  },
+  doseInput: {
+    flex: 1,
+    marginRight: 12,
+  },
+  unitRow: {
+    marginTop: 8,
+  },
+  intervalLabel: {
+    fontSize: 16,
+    color: '#374151',
+  },
+  timeSlotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  timeSlotInput: {
+    flex: 1,
+  },
+  removeTimeButton: {
+    marginLeft: 8,
+    padding: 12,
+  },
+  removeTimeButtonText: {
+    fontSize: 18,
+    color: '#ef4444',
+  },
+  addTimeButton: {
+    borderWidth: 1,
+    borderColor: '#1a365d',
+    borderStyle: 'dashed',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  addTimeButtonText: {
+    color: '#1a365d',
+    fontWeight: '600',
+    fontSize: 16,
+  },
   timeText: {
     fontSize: 16,
     color: '#111827',
@@ -398,6 +1066,35 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginTop: 4,
   },
+  suggestionList: {
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 12,
+    marginTop: 4,
+    overflow: 'hidden',
+  },
+  suggestionItem: {
+    backgroundColor: 'white',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  suggestionName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  suggestionDetail: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  drugHint: {
+    color: '#059669',
+    fontSize: 13,
+    marginTop: 4,
+  },
   infoBox: {
     backgroundColor: '#eff6ff',
     borderWidth: 1,
@@ -0,0 +1,342 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Modal
+} from 'react-native';
+import {
+  getPillTimes,
+  logPillTaken,
+  updatePillLog,
+  LOG_CORRECTION_WINDOW_HOURS,
+  TAKEN_LOG_STATUSES
+} from '../services/pills';
+import {
+  addDaysToKey,
+  fromDateKey,
+  getActiveTimeZone,
+  normalizeTime,
+  toDateKey,
+  zonedTimeToDate,
+  TIME_REGEX
+} from '../services/schedule';
+
+// Days offered for a dose taken earlier, today first
+const getRecentDays = () => {
+  const todayKey = toDateKey(new Date());
+  const dayCount = Math.ceil(LOG_CORRECTION_WINDOW_HOURS / 24) + 1;
+  return Array.from({ length: dayCount }, (_, index) => addDaysToKey(todayKey, -index));
+};
+
+const formatDay = (key, index) => {
+  if (index === 0) return 'Bugün';
+  if (index === 1) return 'Dün';
+  return fromDateKey(key).toLocaleDateString('tr-TR', { day: 'numeric', month: 'short' });
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('tr-TR', {
+  timeZone: getActiveTimeZone(),
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const ERROR_MESSAGES = {
+  'Taken time is in the future': 'İleri bir saat girilemez',
+  'Outside the correction window': `Yalnızca son ${LOG_CORRECTION_WINDOW_HOURS} saatteki dozlar girilebilir`,
+  'No dose scheduled at that time': 'O gün bu saatte planlanmış bir doz yok',
+  'Dose already taken': 'Bu doz zaten alındı olarak kayıtlı',
+};
+
+// Records when a dose was actually taken: a dose taken earlier than it is logged
+// (optionally for `scheduledTime`), a missed or skipped `log` taken after all, or a
+// correction of a taken `log`'s time. The dose's own day (`slotDay`, fixed for a logged
+// dose) is kept apart from the day it was taken, so a dose taken after midnight stays
+// with the previous day's slot.
+export default function DoseLogEditor({ isVisible, pill, log, scheduledTime, onClose, onSaved }) {
+  const [slot, setSlot] = useState('');
+  const [slotDay, setSlotDay] = useState('');
+  const [day, setDay] = useState('');
+  const [time, setTime] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const isCorrection = !!log && TAKEN_LOG_STATUSES.includes(log.status);
+  const days = getRecentDays();
+
+  // Prefill with the logged dose, or the slot's own time today
+  useEffect(() => {
+    if (isVisible && pill) {
+      const defaultSlot = log?.scheduled_time || scheduledTime || getPillTimes(pill)[0] || '';
+      const defaultSlotDay = log ? toDateKey(new Date(log.scheduled_at || log.taken_at)) : days[0];
+      setSlot(defaultSlot);
+      setSlotDay(defaultSlotDay);
+      setDay(isCorrection ? toDateKey(new Date(log.taken_at)) : defaultSlotDay);
+      setTime(isCorrection ? formatTime(log.taken_at) : defaultSlot);
+      setError('');
+    }
+  }, [isVisible, pill, log, scheduledTime]);
+
+  // The intake day follows the dose's day until changed on its own
+  const handleSlotDayChange = (key) => {
+    if (day === slotDay) {
+      setDay(key);
+    }
+    setSlotDay(key);
+  };
+
+  // A correction's intake day may lie outside the recent days
+  const intakeDays = day && !days.includes(day) ? [...days, day] : days;
+
+  const handleSave = async () => {
+    if (!TIME_REGEX.test(time)) {
+      setError('Geçerli bir saat girin (örn: 08:00)');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const takenAt = zonedTimeToDate(day, normalizeTime(time)).toISOString();
+      const result = isCorrection
+        ? await updatePillLog(pill.id, log.id, { takenAt, slotDate: slotDay })
+        : await logPillTaken(pill.id, slot, { takenAt, slotDate: slotDay });
+
+      onSaved?.(result.logData);
+      onClose();
+    } catch (saveError) {
+      console.error('Save dose time error:', saveError.message);
+      if (ERROR_MESSAGES[saveError.message]) {
+        setError(ERROR_MESSAGES[saveError.message]);
+      } else {
+        Alert.alert('Hata', 'Doz kaydedilirken bir hata oluştu.', [{ text: 'Tamam' }]);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!pill) {
+    return null;
+  }
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={isVisible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>{isCorrection ? '✏️ Alınma Saatini Düzelt' : '🕒 Daha Önce Alınan Doz'}</Text>
+          <Text style={styles.subtitle}>
+            {pill.name} ilacını ne zaman aldığınızı girin; zamanında, geç veya erken olduğu buna göre hesaplanır.
+          </Text>
+
+          {!log && (
+            <>
+              <Text style={styles.label}>Doz</Text>
+              <View style={styles.chipRow}>
+                {getPillTimes(pill).map(value => (
+                  <TouchableOpacity
+                    key={value}
+                    style={[styles.chip, slot === value && styles.chipSelected]}
+                    onPress={() => setSlot(value)}
+                    disabled={isLoading}
+                  >
+                    <Text style={[styles.chipText, slot === value && styles.chipTextSelected]}>{value}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+
+          <Text style={styles.label}>Doz Günü</Text>
+          {log ? (
+            <Text style={styles.dayText}>
+              {!!slotDay && fromDateKey(slotDay).toLocaleDateString('tr-TR', { day: 'numeric', month: 'long' })} · {log.scheduled_time} dozu
+            </Text>
+          ) : (
+            <View style={styles.chipRow}>
+              {days.map((key, index) => (
+                <TouchableOpacity
+                  key={key}
+                  style={[styles.chip, slotDay === key && styles.chipSelected]}
+                  onPress={() => handleSlotDayChange(key)}
+                  disabled={isLoading}
+                >
+                  <Text style={[styles.chipText, slotDay === key && styles.chipTextSelected]}>{formatDay(key, index)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          <Text style={styles.label}>Alınma Günü</Text>
+          <View style={styles.chipRow}>
+            {intakeDays.map((key, index) => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.chip, day === key && styles.chipSelected]}
+                onPress={() => setDay(key)}
+                disabled={isLoading}
+              >
+                <Text style={[styles.chipText, day === key && styles.chipTextSelected]}>{formatDay(key, index)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.label}>Alınma Saati</Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            placeholder="08:00"
+            placeholderTextColor="#9ca3af"
+            value={time}
+            onChangeText={setTime}
+            keyboardType="numbers-and-punctuation"
+            maxLength={5}
+            editable={!isLoading}
+          />
+          {!!error && <Text style={styles.errorText}>{error}</Text>}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={onClose}
+              disabled={isLoading}
+            >
+              <Text style={styles.cancelButtonText}>İptal</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.saveButton, isLoading && styles.buttonDisabled]}
+              onPress={handleSave}
+              disabled={isLoading}
+            >
+              <Text style={styles.saveButtonText}>
+                {isLoading ? 'Kaydediliyor...' : 'Kaydet'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a365d',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#111827',
+    marginBottom: 16,
+  },
+  inputError: {
+    borderColor: '#ef4444',
+    backgroundColor: '#fef2f2',
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  dayText: {
+    fontSize: 16,
+    color: '#111827',
+    marginBottom: 16,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#f9fafb',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#1a365d',
+    borderColor: '#1a365d',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: '#6b7280',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    color: '#6b7280',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: '#1a365d',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#6b7280',
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
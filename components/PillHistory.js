@@ -0,0 +1,771 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  FlatList,
+  ActivityIndicator,
+  Alert,
+  Modal
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import {
+  deletePillLog,
+  getPillLogEdits,
+  getPillLogs,
+  isWithinCorrectionWindow,
+  LOG_STATUS,
+  SKIP_REASONS,
+  TAKEN_LOG_STATUSES
+} from '../services/pills';
+import { getPillCalendar, DAY_STATUS } from '../services/reports';
+import {
+  addDaysToKey,
+  fromDateKey,
+  getActiveTimeZone,
+  toDateKey,
+  WEEKDAY_LABELS,
+  WEEKDAY_ORDER
+} from '../services/schedule';
+import DoseLogEditor from './DoseLogEditor';
+
+const STATUS_FILTERS = [
+  { label: 'Tümü', statuses: null },
+  { label: 'Zamanında', statuses: [LOG_STATUS.ON_TIME] },
+  { label: 'Geç', statuses: [LOG_STATUS.LATE] },
+  { label: 'Erken', statuses: [LOG_STATUS.EARLY] },
+  { label: 'Kaçırılan', statuses: [LOG_STATUS.MISSED] },
+  { label: 'Atlanan', statuses: [LOG_STATUS.SKIPPED] },
+];
+
+const DAY_COLORS = {
+  [DAY_STATUS.TAKEN]: '#059669',
+  [DAY_STATUS.LATE]: '#d97706',
+  [DAY_STATUS.MISSED]: '#dc2626',
+  [DAY_STATUS.SKIPPED]: '#9ca3af',
+  [DAY_STATUS.PENDING]: '#bfdbfe',
+};
+
+const LEGEND = [
+  { status: DAY_STATUS.TAKEN, label: 'Alındı' },
+  { status: DAY_STATUS.LATE, label: 'Geç' },
+  { status: DAY_STATUS.MISSED, label: 'Kaçırıldı' },
+  { status: DAY_STATUS.SKIPPED, label: 'Atlandı' },
+];
+
+// First day (YYYY-MM-01) of the month a day key falls in
+const getMonthStart = (key) => `${key.slice(0, 7)}-01`;
+
+const getLastDayOfMonth = (monthStart) => addDaysToKey(getMonthStart(addDaysToKey(monthStart, 31)), -1);
+
+// Paginated history of one pill: a monthly calendar of its doses, a status filter and
+// the logs, newest first. Tapping a day shows that day's logs; tapping a log its details,
+// its change history and, with `canManage`, the corrections allowed on recent logs.
+export default function PillHistory({ isVisible, pill, canManage, onClose, onChanged }) {
+  const [month, setMonth] = useState(() => getMonthStart(toDateKey(new Date())));
+  const [calendar, setCalendar] = useState([]);
+  const [filterIndex, setFilterIndex] = useState(0);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [logs, setLogs] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [expandedLogId, setExpandedLogId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  // Changes made to each expanded log, by log id (null while loading)
+  const [logEdits, setLogEdits] = useState({});
+  // Log being corrected, or null for a new dose; undefined while the editor is closed
+  const [editedLog, setEditedLog] = useState(undefined);
+  // Ignores pages of a query the user already moved away from
+  const queryRef = useRef(0);
+
+  const todayKey = toDateKey(new Date());
+
+  // Start from the current month each time the screen opens
+  useEffect(() => {
+    if (isVisible) {
+      setMonth(getMonthStart(toDateKey(new Date())));
+      setFilterIndex(0);
+      setSelectedDay(null);
+      setExpandedLogId(null);
+      setLogEdits({});
+    }
+  }, [isVisible, pill?.id]);
+
+  useEffect(() => {
+    if (isVisible && pill) {
+      loadCalendar();
+    }
+  }, [isVisible, pill?.id, month]);
+
+  useEffect(() => {
+    if (isVisible && pill) {
+      loadLogs();
+    }
+  }, [isVisible, pill?.id, filterIndex, selectedDay]);
+
+  const loadCalendar = async () => {
+    try {
+      const to = getLastDayOfMonth(month);
+      setCalendar(await getPillCalendar(pill.id, { from: month, to: to < todayKey ? to : todayKey }));
+    } catch (loadError) {
+      console.error('Error loading pill calendar:', loadError.message);
+      setCalendar([]);
+    }
+  };
+
+  const getQuery = () => ({
+    statuses: STATUS_FILTERS[filterIndex].statuses,
+    from: selectedDay,
+    to: selectedDay,
+  });
+
+  const loadLogs = async () => {
+    const queryId = ++queryRef.current;
+
+    try {
+      setIsLoading(true);
+      setError('');
+      const page = await getPillLogs(pill.id, getQuery());
+      if (queryId !== queryRef.current) {
+        return;
+      }
+      setLogs(page.logs);
+      setNextCursor(page.nextCursor);
+    } catch (loadError) {
+      console.error('Error loading pill history:', loadError.message);
+      setError('İlaç geçmişi yüklenirken bir hata oluştu.');
+    } finally {
+      if (queryId === queryRef.current) {
+        setIsLoading(false);
+      }
+    }
+  };
+
+  const loadMore = async () => {
+    if (!nextCursor || isLoading || isLoadingMore) {
+      return;
+    }
+
+    const queryId = queryRef.current;
+
+    try {
+      setIsLoadingMore(true);
+      const page = await getPillLogs(pill.id, { ...getQuery(), cursor: nextCursor });
+      if (queryId !== queryRef.current) {
+        return;
+      }
+      setLogs(prev => [...prev, ...page.logs]);
+      setNextCursor(page.nextCursor);
+    } catch (loadError) {
+      console.error('Error loading more history:', loadError.message);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleExpandLog = async (log) => {
+    if (expandedLogId === log.id) {
+      setExpandedLogId(null);
+      return;
+    }
+
+    setExpandedLogId(log.id);
+    setLogEdits(prev => ({ ...prev, [log.id]: null }));
+
+    try {
+      const edits = await getPillLogEdits(pill.id, log.id);
+      setLogEdits(prev => ({ ...prev, [log.id]: edits }));
+    } catch (loadError) {
+      // The change history needs a connection; the rest of the details do not
+      console.error('Error loading log edits:', loadError.message);
+      setLogEdits(prev => ({ ...prev, [log.id]: [] }));
+    }
+  };
+
+  // Reload after a dose was logged, corrected or deleted
+  const handleLogChanged = () => {
+    setExpandedLogId(null);
+    setLogEdits({});
+    loadLogs();
+    loadCalendar();
+    onChanged?.();
+  };
+
+  const handleDeleteLog = (log) => {
+    Alert.alert(
+      'Kaydı Sil',
+      `${log.scheduled_time} dozunun kaydı silinecek${log.status === LOG_STATUS.SKIPPED ? '' : ' ve stok geri eklenecek'}. Emin misiniz?`,
+      [
+        { text: 'İptal', style: 'cancel' },
+        {
+          text: 'Sil',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deletePillLog(pill.id, log.id);
+              handleLogChanged();
+            } catch (deleteError) {
+              console.error('Error deleting log:', deleteError.message);
+              Alert.alert('Hata', 'Kayıt silinirken bir hata oluştu.', [{ text: 'Tamam' }]);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleSelectDay = (day) => {
+    setSelectedDay(selectedDay === day.date ? null : day.date);
+    setExpandedLogId(null);
+  };
+
+  const formatDateTime = (value, options) => new Date(value).toLocaleString('tr-TR', {
+    timeZone: getActiveTimeZone(),
+    ...options
+  });
+
+  const formatMonth = (key) => fromDateKey(key).toLocaleDateString('tr-TR', { month: 'long', year: 'numeric' });
+
+  const getStatusText = (log) => {
+    switch (log.status) {
+      case LOG_STATUS.MISSED:
+        return 'Kaçırıldı';
+      case LOG_STATUS.SKIPPED:
+        return `Atlandı${log.skip_reason ? ` (${SKIP_REASONS[log.skip_reason] || log.skip_reason})` : ''}`;
+      case LOG_STATUS.ON_TIME:
+        return 'Zamanında';
+      case LOG_STATUS.LATE:
+        return `${log.minutes_difference} dk geç`;
+      default:
+        return `${Math.abs(log.minutes_difference)} dk erken`;
+    }
+  };
+
+  const getStatusColor = (log) => {
+    switch (log.status) {
+      case LOG_STATUS.MISSED:
+        return DAY_COLORS[DAY_STATUS.MISSED];
+      case LOG_STATUS.SKIPPED:
+        return DAY_COLORS[DAY_STATUS.SKIPPED];
+      case LOG_STATUS.LATE:
+        return DAY_COLORS[DAY_STATUS.LATE];
+      default:
+        return DAY_COLORS[DAY_STATUS.TAKEN];
+    }
+  };
+
+  const describeEdit = (edit) => {
+    if (edit.action === 'delete') {
+      return 'Kayıt silindi';
+    }
+
+    const before = edit.old_values;
+    const after = edit.new_values;
+    const changes = [];
+    if (before.taken_at !== after.taken_at && TAKEN_LOG_STATUSES.includes(after.status)) {
+      changes.push(`Saat ${formatDateTime(before.taken_at, { hour: '2-digit', minute: '2-digit' })} → ${formatDateTime(after.taken_at, { hour: '2-digit', minute: '2-digit' })}`);
+    }
+    if (getStatusText(before) !== getStatusText(after)) {
+      changes.push(`${getStatusText(before)} → ${getStatusText(after)}`);
+    }
+    return changes.join(', ') || 'Kayıt güncellendi';
+  };
+
+  const renderCalendar = () => {
+    // Monday-first grid, with blanks before the first day of the month
+    const leadingBlanks = WEEKDAY_ORDER.indexOf(fromDateKey(month).getDay());
+    const lastDay = getLastDayOfMonth(month);
+    const daysByKey = new Map(calendar.map(day => [day.date, day]));
+    const cells = [...Array(leadingBlanks).fill(null)];
+    for (let key = month; key <= lastDay; key = addDaysToKey(key, 1)) {
+      cells.push(daysByKey.get(key) || { date: key, status: null });
+    }
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.monthRow}>
+          <TouchableOpacity style={styles.monthButton} onPress={() => setMonth(getMonthStart(addDaysToKey(month, -1)))}>
+            <Text style={styles.monthButtonText}>‹</Text>
+          </TouchableOpacity>
+          <Text style={styles.monthTitle}>{formatMonth(month)}</Text>
+          <TouchableOpacity
+            style={styles.monthButton}
+            onPress={() => setMonth(getMonthStart(addDaysToKey(lastDay, 1)))}
+            disabled={lastDay >= todayKey}
+          >
+            <Text style={[styles.monthButtonText, lastDay >= todayKey && styles.monthButtonDisabled]}>›</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.calendarGrid}>
+          {WEEKDAY_ORDER.map(day => (
+            <Text key={day} style={styles.weekdayLabel}>{WEEKDAY_LABELS[day]}</Text>
+          ))}
+          {cells.map((day, index) => (
+            <View key={day ? day.date : `blank-${index}`} style={styles.dayCell}>
+              {day && (
+                <TouchableOpacity
+                  style={[
+                    styles.dayInner,
+                    day.status && { backgroundColor: DAY_COLORS[day.status] },
+                    selectedDay === day.date && styles.daySelected
+                  ]}
+                  onPress={() => handleSelectDay(day)}
+                  disabled={day.date > todayKey}
+                >
+                  <Text style={[styles.dayText, day.status && day.status !== DAY_STATUS.PENDING && styles.dayTextFilled]}>
+                    {Number(day.date.slice(8))}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.legendRow}>
+          {LEGEND.map(item => (
+            <View key={item.status} style={styles.legendItem}>
+              <View style={[styles.legendDot, { backgroundColor: DAY_COLORS[item.status] }]} />
+              <Text style={styles.legendText}>{item.label}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  const renderHeader = () => (
+    <>
+      {renderCalendar()}
+
+      <View style={styles.filterRow}>
+        {STATUS_FILTERS.map((filter, index) => (
+          <TouchableOpacity
+            key={filter.label}
+            style={[styles.filterChip, filterIndex === index && styles.filterChipSelected]}
+            onPress={() => {
+              setFilterIndex(index);
+              setExpandedLogId(null);
+            }}
+          >
+            <Text style={[styles.filterText, filterIndex === index && styles.filterTextSelected]}>
+              {filter.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {selectedDay && (
+        <TouchableOpacity style={styles.dayFilter} onPress={() => setSelectedDay(null)}>
+          <Text style={styles.dayFilterText}>
+            📅 {fromDateKey(selectedDay).toLocaleDateString('tr-TR', { day: 'numeric', month: 'long' })} · Tüm günler ✕
+          </Text>
+        </TouchableOpacity>
+      )}
+    </>
+  );
+
+  const renderLogDetails = (log) => (
+    <View style={styles.logDetails}>
+      {!!log.scheduled_at && (
+        <Text style={styles.logDetail}>
+          Planlanan: {formatDateTime(log.scheduled_at, { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' })}
+        </Text>
+      )}
+      {log.status !== LOG_STATUS.MISSED && log.status !== LOG_STATUS.SKIPPED && (
+        <Text style={styles.logDetail}>
+          Alındı: {formatDateTime(log.taken_at, { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' })}
+        </Text>
+      )}
+      {log.status === LOG_STATUS.SKIPPED && (
+        <Text style={styles.logDetail}>
+          Kaydedildi: {formatDateTime(log.taken_at, { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' })}
+        </Text>
+      )}
+      {log.minutes_difference !== null && log.minutes_difference !== undefined && (
+        <Text style={styles.logDetail}>Sapma: {log.minutes_difference} dk</Text>
+      )}
+      {log.status === LOG_STATUS.MISSED && (
+        <Text style={styles.logDetail}>Tolerans süresi içinde alınmadığı için kaçırıldı olarak kaydedildi.</Text>
+      )}
+      {!!log.recorded_at && (
+        <Text style={styles.logDetail}>
+          Sonradan girildi: {formatDateTime(log.recorded_at, { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' })}
+        </Text>
+      )}
+
+      {logEdits[log.id] === null ? (
+        <ActivityIndicator color="#1a365d" style={styles.editsSpinner} />
+      ) : logEdits[log.id]?.length > 0 && (
+        <View style={styles.editList}>
+          <Text style={styles.editTitle}>Değişiklik Geçmişi</Text>
+          {logEdits[log.id].map(edit => (
+            <Text key={edit.id} style={styles.logDetail}>
+              {formatDateTime(edit.edited_at, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })} · {describeEdit(edit)}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {canManage && isWithinCorrectionWindow(log.scheduled_at || log.taken_at) && (
+        <View style={styles.logActions}>
+          <TouchableOpacity style={styles.logActionButton} onPress={() => setEditedLog(log)}>
+            <Text style={styles.logActionText}>
+              {TAKEN_LOG_STATUSES.includes(log.status) ? '✏️ Saati Düzelt' : '✓ Alındı Olarak Kaydet'}
+            </Text>
+          </TouchableOpacity>
+          {log.status !== LOG_STATUS.MISSED && (
+            <TouchableOpacity style={styles.logDeleteButton} onPress={() => handleDeleteLog(log)}>
+              <Text style={styles.logDeleteText}>Sil</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+
+  const renderLog = ({ item: log }) => (
+    <TouchableOpacity
+      style={styles.logRow}
+      onPress={() => handleExpandLog(log)}
+    >
+      <View style={styles.logHeader}>
+        <View style={[styles.logDot, { backgroundColor: getStatusColor(log) }]} />
+        <Text style={styles.logDate}>
+          {formatDateTime(log.scheduled_at || log.taken_at, { weekday: 'short', day: 'numeric', month: 'short' })}
+          {log.scheduled_time ? ` · ${log.scheduled_time}` : ''}
+        </Text>
+        <Text style={[styles.logStatus, { color: getStatusColor(log) }]}>{getStatusText(log)}</Text>
+      </View>
+      {expandedLogId === log.id && renderLogDetails(log)}
+    </TouchableOpacity>
+  );
+
+  if (!pill) {
+    return null;
+  }
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={false}
+      visible={isVisible}
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <StatusBar style="light" backgroundColor="#1a365d" />
+
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>{pill.name}</Text>
+          <Text style={styles.subtitle}>İlaç Geçmişi</Text>
+          {canManage && (
+            <TouchableOpacity style={styles.addDoseButton} onPress={() => setEditedLog(null)}>
+              <Text style={styles.addDoseButtonText}>🕒 Daha Önce Alınan Dozu Kaydet</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <FlatList
+          style={styles.content}
+          contentContainerStyle={styles.listContent}
+          data={isLoading ? [] : logs}
+          keyExtractor={log => log.id}
+          renderItem={renderLog}
+          ListHeaderComponent={renderHeader()}
+          ListEmptyComponent={
+            isLoading ? (
+              <ActivityIndicator size="large" color="#1a365d" style={styles.spinner} />
+            ) : error ? (
+              <Text style={styles.errorText}>{error}</Text>
+            ) : (
+              <Text style={styles.emptyText}>Bu seçime uygun kayıt bulunmuyor.</Text>
+            )
+          }
+          ListFooterComponent={isLoadingMore ? <ActivityIndicator color="#1a365d" style={styles.footerSpinner} /> : null}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          showsVerticalScrollIndicator={false}
+        />
+
+        <DoseLogEditor
+          isVisible={editedLog !== undefined}
+          pill={pill}
+          log={editedLog}
+          onClose={() => setEditedLog(undefined)}
+          onSaved={handleLogChanged}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f3f4f6',
+  },
+  header: {
+    backgroundColor: '#1a365d',
+    paddingTop: 20,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+  },
+  closeButton: {
+    alignSelf: 'flex-end',
+    padding: 4,
+  },
+  closeButtonText: {
+    fontSize: 22,
+    color: 'white',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#cbd5e0',
+  },
+  content: {
+    flex: 1,
+  },
+  listContent: {
+    padding: 20,
+  },
+  spinner: {
+    marginTop: 40,
+  },
+  footerSpinner: {
+    marginVertical: 16,
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  emptyText: {
+    color: '#6b7280',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  monthRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  monthButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+  },
+  monthButtonText: {
+    fontSize: 24,
+    color: '#1a365d',
+  },
+  monthButtonDisabled: {
+    color: '#e5e7eb',
+  },
+  monthTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  calendarGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  weekdayLabel: {
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#6b7280',
+    marginBottom: 6,
+  },
+  dayCell: {
+    width: `${100 / 7}%`,
+    aspectRatio: 1,
+    padding: 2,
+  },
+  dayInner: {
+    flex: 1,
+    borderRadius: 8,
+    backgroundColor: '#f9fafb',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  daySelected: {
+    borderWidth: 2,
+    borderColor: '#1a365d',
+  },
+  dayText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  dayTextFilled: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  legendRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginTop: 12,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  filterChip: {
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: 'white',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  filterChipSelected: {
+    backgroundColor: '#1a365d',
+    borderColor: '#1a365d',
+  },
+  filterText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  filterTextSelected: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  dayFilter: {
+    backgroundColor: '#eff6ff',
+    borderRadius: 12,
+    padding: 10,
+    marginBottom: 12,
+  },
+  dayFilterText: {
+    color: '#1a365d',
+    fontSize: 14,
+  },
+  logRow: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+  },
+  logHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  logDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 10,
+  },
+  logDate: {
+    flex: 1,
+    fontSize: 15,
+    color: '#1f2937',
+  },
+  logStatus: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  logDetails: {
+    marginTop: 10,
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f3f4f6',
+  },
+  logDetail: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginBottom: 2,
+  },
+  editsSpinner: {
+    marginTop: 8,
+  },
+  editList: {
+    marginTop: 8,
+  },
+  editTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 2,
+  },
+  logActions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 10,
+  },
+  logActionButton: {
+    flex: 1,
+    backgroundColor: '#1a365d',
+    borderRadius: 10,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  logActionText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  logDeleteButton: {
+    borderWidth: 1,
+    borderColor: '#ef4444',
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    alignItems: 'center',
+  },
+  logDeleteText: {
+    color: '#ef4444',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  addDoseButton: {
+    marginTop: 12,
+    alignSelf: 'flex-start',
+    backgroundColor: 'rgba(255,255,255,0.15)',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  addDoseButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
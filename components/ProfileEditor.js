@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Modal
+} from 'react-native';
+import { addProfile, updateProfile, deleteProfile, PROFILE_AVATARS } from '../services/profiles';
+
+// Adds a dependent profile, or edits and deletes `profile` when given
+export default function ProfileEditor({ isVisible, profile, onClose, onSaved, onDeleted }) {
+  const [name, setName] = useState('');
+  const [avatar, setAvatar] = useState(PROFILE_AVATARS[0]);
+  const [timezone, setTimezone] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Prefill with the profile being edited
+  useEffect(() => {
+    if (isVisible) {
+      setName(profile?.name || '');
+      setAvatar(profile?.avatar || PROFILE_AVATARS[0]);
+      setTimezone(profile?.timezone || '');
+      setError('');
+    }
+  }, [isVisible, profile]);
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      setError('Profil adı gerekli');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const profileData = { name, avatar, timezone };
+      const savedProfile = profile
+        ? await updateProfile(profile.id, profileData)
+        : await addProfile(profileData);
+
+      onSaved?.(savedProfile);
+      onClose();
+    } catch (saveError) {
+      console.error('Save profile error:', saveError.message);
+      if (saveError.message === 'Invalid time zone') {
+        setError('Geçerli bir saat dilimi girin (örn: Europe/Istanbul)');
+      } else {
+        Alert.alert('Hata', 'Profil kaydedilirken bir hata oluştu.', [{ text: 'Tamam' }]);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Profili Sil',
+      `${profile.name} profili, ilaçları ve geçmişiyle birlikte silinecek. Emin misiniz?`,
+      [
+        { text: 'İptal', style: 'cancel' },
+        {
+          text: 'Sil',
+          style: 'destructive',
+          onPress: async () => {
+            setIsLoading(true);
+            try {
+              await deleteProfile(profile.id);
+              onDeleted?.(profile);
+              onClose();
+            } catch (deleteError) {
+              console.error('Delete profile error:', deleteError.message);
+              Alert.alert('Hata', 'Profil silinirken bir hata oluştu.', [{ text: 'Tamam' }]);
+            } finally {
+              setIsLoading(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={isVisible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>{profile ? '✏️ Profili Düzenle' : '➕ Yeni Profil'}</Text>
+          <Text style={styles.subtitle}>
+            Çocuğunuz veya baktığınız biri için ayrı bir ilaç listesi
+          </Text>
+
+          <Text style={styles.label}>Ad</Text>
+          <TextInput
+            style={[styles.input, error && !name.trim() && styles.inputError]}
+            placeholder="Örn: Elif"
+            placeholderTextColor="#9ca3af"
+            value={name}
+            onChangeText={setName}
+            editable={!isLoading}
+          />
+
+          <Text style={styles.label}>Simge</Text>
+          <View style={styles.chipRow}>
+            {PROFILE_AVATARS.map(value => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.chip, avatar === value && styles.chipSelected]}
+                onPress={() => setAvatar(value)}
+                disabled={isLoading}
+              >
+                <Text style={styles.chipText}>{value}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.label}>Saat Dilimi (isteğe bağlı)</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Hesabınızınki kullanılır"
+            placeholderTextColor="#9ca3af"
+            value={timezone}
+            onChangeText={setTimezone}
+            autoCapitalize="none"
+            autoCorrect={false}
+            editable={!isLoading}
+          />
+          {!!error && <Text style={styles.errorText}>{error}</Text>}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={onClose}
+              disabled={isLoading}
+            >
+              <Text style={styles.cancelButtonText}>İptal</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.saveButton, isLoading && styles.buttonDisabled]}
+              onPress={handleSave}
+              disabled={isLoading}
+            >
+              <Text style={styles.saveButtonText}>
+                {isLoading ? 'Kaydediliyor...' : 'Kaydet'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          {profile && (
+            <TouchableOpacity style={styles.deleteButton} onPress={handleDelete} disabled={isLoading}>
+              <Text style={styles.deleteButtonText}>Profili Sil</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a365d',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#111827',
+    marginBottom: 16,
+  },
+  inputError: {
+    borderColor: '#ef4444',
+    backgroundColor: '#fef2f2',
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#f9fafb',
+    borderRadius: 20,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  chipSelected: {
+    backgroundColor: '#dbeafe',
+    borderColor: '#1a365d',
+  },
+  chipText: {
+    fontSize: 20,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: '#6b7280',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    color: '#6b7280',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: '#1a365d',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#6b7280',
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  deleteButton: {
+    marginTop: 16,
+    alignItems: 'center',
+  },
+  deleteButtonText: {
+    color: '#ef4444',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
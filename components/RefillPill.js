@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Modal
+} from 'react-native';
+import { refillPill } from '../services/pills';
+
+export default function RefillPill({ isVisible, pill, onClose, onRefilled }) {
+  const [quantity, setQuantity] = useState('');
+  const [threshold, setThreshold] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Prefill with the pill's pack size and current threshold
+  useEffect(() => {
+    if (isVisible && pill) {
+      setQuantity(pill.pack_size ? String(pill.pack_size) : '');
+      setThreshold(pill.refill_threshold ? String(pill.refill_threshold) : '');
+      setError('');
+    }
+  }, [isVisible, pill]);
+
+  const handleRefill = async () => {
+    const amount = Number(quantity);
+    const thresholdValue = threshold === '' ? 0 : Number(threshold);
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      setError('Geçerli bir adet girin');
+      return;
+    }
+    if (!Number.isInteger(thresholdValue) || thresholdValue < 0) {
+      setError('Geçerli bir uyarı eşiği girin');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const updatedPill = await refillPill(pill.id, amount, {
+        refillThreshold: thresholdValue,
+        packSize: amount
+      });
+
+      console.log('Pill refilled:', pill.name);
+
+      if (onRefilled) {
+        onRefilled(updatedPill);
+      }
+      onClose();
+    } catch (refillError) {
+      console.error('Refill pill error:', refillError.message);
+      Alert.alert('Hata', 'Stok güncellenirken bir hata oluştu.', [{ text: 'Tamam' }]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!pill) {
+    return null;
+  }
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={isVisible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>📦 Yeni Kutu Ekle</Text>
+          <Text style={styles.subtitle}>
+            {pill.name} · Mevcut stok: {pill.stock_count ?? 0}
+          </Text>
+
+          <Text style={styles.label}>Eklenecek Adet</Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            placeholder="Örn: 30"
+            placeholderTextColor="#9ca3af"
+            value={quantity}
+            onChangeText={(value) => setQuantity(value.replace(/[^0-9]/g, ''))}
+            keyboardType="number-pad"
+            editable={!isLoading}
+          />
+
+          <Text style={styles.label}>Uyarı Eşiği</Text>
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            placeholder="Örn: 5"
+            placeholderTextColor="#9ca3af"
+            value={threshold}
+            onChangeText={(value) => setThreshold(value.replace(/[^0-9]/g, ''))}
+            keyboardType="number-pad"
+            editable={!isLoading}
+          />
+          {!!error && <Text style={styles.errorText}>{error}</Text>}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={onClose}
+              disabled={isLoading}
+            >
+              <Text style={styles.cancelButtonText}>İptal</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.saveButton, isLoading && styles.buttonDisabled]}
+              onPress={handleRefill}
+              disabled={isLoading}
+            >
+              <Text style={styles.saveButtonText}>
+                {isLoading ? 'Kaydediliyor...' : 'Ekle'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a365d',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#111827',
+    marginBottom: 16,
+  },
+  inputError: {
+    borderColor: '#ef4444',
+    backgroundColor: '#fef2f2',
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: '#6b7280',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    color: '#6b7280',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: '#1a365d',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#6b7280',
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+  Modal
+} from 'react-native';
+import {
+  getFollowUpSettings,
+  getMissedGraceMinutes,
+  setFollowUpSettings,
+  setMissedGraceMinutes
+} from '../services/pills';
+
+const GRACE_OPTIONS = [30, 60, 120];
+
+const FOLLOW_UP_OPTIONS = [
+  { text: 'Kapalı', intervalMinutes: null, count: 0 },
+  { text: '15 dk arayla 3 kez', intervalMinutes: 15, count: 3 },
+  { text: '30 dk arayla 2 kez', intervalMinutes: 30, count: 2 },
+];
+
+const formatGrace = (minutes) => (minutes < 60 ? `${minutes} dk` : `${minutes / 60} saat`);
+
+// App settings: missed-dose grace window, follow-up reminders and signing out
+export default function Settings({ isVisible, onClose, onSignOut }) {
+  const [graceMinutes, setGraceMinutes] = useState(null);
+  const [followUps, setFollowUps] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (isVisible) {
+      loadSettings();
+    }
+  }, [isVisible]);
+
+  const loadSettings = async () => {
+    setGraceMinutes(await getMissedGraceMinutes());
+    setFollowUps(await getFollowUpSettings());
+  };
+
+  const updateMissedGrace = async (minutes) => {
+    try {
+      setIsSaving(true);
+      await setMissedGraceMinutes(minutes);
+      setGraceMinutes(minutes);
+      console.log('Missed grace window updated:', minutes);
+    } catch (error) {
+      console.error('Error updating missed grace window:', error.message);
+      Alert.alert('Hata', 'Ayar kaydedilirken bir hata oluştu.', [{ text: 'Tamam' }]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const updateFollowUps = async (option) => {
+    // Turning them off keeps the interval for when they are turned back on
+    const settings = {
+      intervalMinutes: option.intervalMinutes || followUps.intervalMinutes,
+      count: option.count
+    };
+
+    try {
+      setIsSaving(true);
+      await setFollowUpSettings(settings);
+      setFollowUps(settings);
+      console.log('Follow-up reminders updated:', settings.intervalMinutes, settings.count);
+    } catch (error) {
+      console.error('Error updating follow-up reminders:', error.message);
+      Alert.alert('Hata', 'Ayar kaydedilirken bir hata oluştu.', [{ text: 'Tamam' }]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isFollowUpSelected = (option) => !!followUps && (option.count === 0
+    ? followUps.count === 0
+    : followUps.count === option.count && followUps.intervalMinutes === option.intervalMinutes);
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={isVisible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>⚙️ Ayarlar</Text>
+
+          {graceMinutes === null || followUps === null ? (
+            <ActivityIndicator color="#1a365d" style={styles.spinner} />
+          ) : (
+            <>
+              <Text style={styles.label}>Kaçırma Süresi</Text>
+              <Text style={styles.hint}>
+                Planlanan saatten ne kadar sonra alınmayan doz kaçırıldı olarak kaydedilsin?
+              </Text>
+              <View style={styles.chipRow}>
+                {GRACE_OPTIONS.map(minutes => (
+                  <TouchableOpacity
+                    key={minutes}
+                    style={[styles.chip, graceMinutes === minutes && styles.chipSelected]}
+                    onPress={() => updateMissedGrace(minutes)}
+                    disabled={isSaving}
+                  >
+                    <Text style={[styles.chipText, graceMinutes === minutes && styles.chipTextSelected]}>
+                      {formatGrace(minutes)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={styles.label}>Takip Hatırlatmaları</Text>
+              <Text style={styles.hint}>
+                Doz alındı olarak işaretlenene kadar hatırlatma tekrarlansın mı?
+              </Text>
+              <View style={styles.chipRow}>
+                {FOLLOW_UP_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option.text}
+                    style={[styles.chip, isFollowUpSelected(option) && styles.chipSelected]}
+                    onPress={() => updateFollowUps(option)}
+                    disabled={isSaving}
+                  >
+                    <Text style={[styles.chipText, isFollowUpSelected(option) && styles.chipTextSelected]}>
+                      {option.text}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+              <Text style={styles.closeButtonText}>Kapat</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.signOutButton} onPress={onSignOut}>
+              <Text style={styles.signOutButtonText}>Çıkış Yap</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a365d',
+    marginBottom: 20,
+  },
+  spinner: {
+    marginVertical: 24,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 4,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 20,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#f9fafb',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#1a365d',
+    borderColor: '#1a365d',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  closeButton: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: '#6b7280',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    color: '#6b7280',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  signOutButton: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: '#ef4444',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  signOutButtonText: {
+    color: '#ef4444',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
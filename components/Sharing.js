@@ -0,0 +1,572 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Modal
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import {
+  acceptInvitation,
+  getCaregivers,
+  getSharedPatients,
+  inviteCaregiver,
+  removeShare,
+  updateCaregiverPermission,
+  SHARE_PERMISSIONS,
+  SHARE_STATUS
+} from '../services/sharing';
+import {
+  addEmergencyContact,
+  getEmergencyContacts,
+  removeEmergencyContact,
+  CONTACT_CHANNELS
+} from '../services/emergencyContacts';
+
+const PERMISSION_LABELS = {
+  [SHARE_PERMISSIONS.READ]: 'Görüntüleme',
+  [SHARE_PERMISSIONS.MANAGE]: 'Yönetim',
+};
+
+const CHANNEL_LABELS = {
+  [CONTACT_CHANNELS.PUSH]: 'Uygulama',
+  [CONTACT_CHANNELS.EMAIL]: 'E-posta',
+  [CONTACT_CHANNELS.WEBHOOK]: 'Webhook',
+};
+
+const CHANNEL_PLACEHOLDERS = {
+  [CONTACT_CHANNELS.PUSH]: 'PillTracker hesabının e-postası',
+  [CONTACT_CHANNELS.EMAIL]: 'E-posta adresi',
+  [CONTACT_CHANNELS.WEBHOOK]: 'https://...',
+};
+
+export default function Sharing({ isVisible, onClose, activePatientId, onSelectPatient }) {
+  const [caregivers, setCaregivers] = useState([]);
+  const [patients, setPatients] = useState([]);
+  const [email, setEmail] = useState('');
+  const [permission, setPermission] = useState(SHARE_PERMISSIONS.READ);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [contacts, setContacts] = useState([]);
+  const [contactForm, setContactForm] = useState({ name: '', channel: CONTACT_CHANNELS.PUSH, target: '' });
+  const [contactError, setContactError] = useState('');
+
+  useEffect(() => {
+    if (isVisible) {
+      setEmail('');
+      setError('');
+      setContactForm({ name: '', channel: CONTACT_CHANNELS.PUSH, target: '' });
+      setContactError('');
+      loadShares();
+    }
+  }, [isVisible]);
+
+  const loadShares = async () => {
+    try {
+      setIsLoading(true);
+      const [caregiverList, patientList, contactList] = await Promise.all([
+        getCaregivers(),
+        getSharedPatients(),
+        getEmergencyContacts()
+      ]);
+      setCaregivers(caregiverList);
+      setPatients(patientList);
+      setContacts(contactList);
+    } catch (loadError) {
+      console.error('Error loading shares:', loadError.message);
+      Alert.alert('Hata', 'Paylaşımlar yüklenirken bir hata oluştu.', [{ text: 'Tamam' }]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleInvite = async () => {
+    setIsSaving(true);
+    setError('');
+
+    try {
+      await inviteCaregiver(email, permission);
+      setEmail('');
+      await loadShares();
+    } catch (inviteError) {
+      const messages = {
+        'Invalid email': 'Geçerli bir e-posta adresi girin',
+        'Cannot invite yourself': 'Kendinizi davet edemezsiniz',
+        'Caregiver already invited': 'Bu kişi zaten davet edilmiş',
+      };
+      setError(messages[inviteError.message] || 'Davet gönderilirken bir hata oluştu');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleChangePermission = async (share) => {
+    const nextPermission = share.permission === SHARE_PERMISSIONS.MANAGE
+      ? SHARE_PERMISSIONS.READ
+      : SHARE_PERMISSIONS.MANAGE;
+
+    try {
+      await updateCaregiverPermission(share.id, nextPermission);
+      await loadShares();
+    } catch (updateError) {
+      console.error('Error updating caregiver permission:', updateError.message);
+      Alert.alert('Hata', 'Yetki güncellenirken bir hata oluştu.', [{ text: 'Tamam' }]);
+    }
+  };
+
+  const handleRemove = (shareId, title, message, patientId = null) => {
+    Alert.alert(
+      title,
+      message,
+      [
+        { text: 'İptal', style: 'cancel' },
+        {
+          text: 'Kaldır',
+          style: 'destructive',
+          onPress: () => performRemove(shareId, patientId)
+        }
+      ]
+    );
+  };
+
+  const performRemove = async (shareId, patientId) => {
+    try {
+      await removeShare(shareId);
+
+      // Leaving the patient being viewed goes back to the user's own pills
+      if (patientId && patientId === activePatientId) {
+        onSelectPatient(null);
+      }
+
+      await loadShares();
+    } catch (removeError) {
+      console.error('Error removing share:', removeError.message);
+      Alert.alert('Hata', 'Paylaşım kaldırılırken bir hata oluştu.', [{ text: 'Tamam' }]);
+    }
+  };
+
+  const handleAccept = async (patient) => {
+    try {
+      await acceptInvitation(patient.shareId);
+      await loadShares();
+    } catch (acceptError) {
+      console.error('Error accepting invitation:', acceptError.message);
+      Alert.alert('Hata', 'Davet kabul edilirken bir hata oluştu.', [{ text: 'Tamam' }]);
+    }
+  };
+
+  const handleAddContact = async () => {
+    setIsSaving(true);
+    setContactError('');
+
+    try {
+      await addEmergencyContact(contactForm);
+      setContactForm({ ...contactForm, name: '', target: '' });
+      await loadShares();
+    } catch (addError) {
+      const messages = {
+        'Contact name is required': 'Kişinin adını girin',
+        'Invalid email': 'Geçerli bir e-posta adresi girin',
+        'Invalid webhook URL': 'Geçerli bir https adresi girin',
+        'Contact already added': 'Bu kişi zaten ekli',
+      };
+      setContactError(messages[addError.message] || 'Kişi eklenirken bir hata oluştu');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemoveContact = (contact) => {
+    Alert.alert(
+      'Kişiyi Kaldır',
+      `${contact.name} artık kaçırılan dozlardan haberdar edilmeyecek.`,
+      [
+        { text: 'İptal', style: 'cancel' },
+        {
+          text: 'Kaldır',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await removeEmergencyContact(contact.id);
+              await loadShares();
+            } catch (removeError) {
+              console.error('Error removing emergency contact:', removeError.message);
+              Alert.alert('Hata', 'Kişi kaldırılırken bir hata oluştu.', [{ text: 'Tamam' }]);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderContact = (contact) => (
+    <View key={contact.id} style={styles.row}>
+      <View style={styles.rowInfo}>
+        <Text style={styles.rowTitle}>{contact.name}</Text>
+        <Text style={styles.rowDetail}>{CHANNEL_LABELS[contact.channel]} · {contact.target}</Text>
+      </View>
+      <TouchableOpacity style={styles.removeButton} onPress={() => handleRemoveContact(contact)}>
+        <Text style={styles.removeButtonText}>✕</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderCaregiver = (share) => (
+    <View key={share.id} style={styles.row}>
+      <View style={styles.rowInfo}>
+        <Text style={styles.rowTitle}>{share.caregiver_email}</Text>
+        <Text style={styles.rowDetail}>
+          {PERMISSION_LABELS[share.permission]} · {share.status === SHARE_STATUS.ACCEPTED ? 'Kabul edildi' : 'Bekliyor'}
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.rowButton} onPress={() => handleChangePermission(share)}>
+        <Text style={styles.rowButtonText}>
+          {share.permission === SHARE_PERMISSIONS.MANAGE ? 'Salt Okunur Yap' : 'Yönetim Ver'}
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.removeButton}
+        onPress={() => handleRemove(share.id, 'Bakıcıyı Kaldır', `${share.caregiver_email} artık ilaçlarınızı göremeyecek.`)}
+      >
+        <Text style={styles.removeButtonText}>✕</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderPatient = (patient) => (
+    <View key={patient.shareId} style={styles.row}>
+      <View style={styles.rowInfo}>
+        <Text style={styles.rowTitle}>{patient.name}</Text>
+        <Text style={styles.rowDetail}>
+          {PERMISSION_LABELS[patient.permission]}
+          {patient.status === SHARE_STATUS.PENDING ? ' · Davet bekliyor' : ''}
+          {patient.id === activePatientId ? ' · Görüntüleniyor' : ''}
+        </Text>
+      </View>
+      {patient.status === SHARE_STATUS.PENDING ? (
+        <TouchableOpacity style={styles.rowButton} onPress={() => handleAccept(patient)}>
+          <Text style={styles.rowButtonText}>Kabul Et</Text>
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity style={styles.rowButton} onPress={() => onSelectPatient(patient)}>
+          <Text style={styles.rowButtonText}>Görüntüle</Text>
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity
+        style={styles.removeButton}
+        onPress={() => handleRemove(
+          patient.shareId,
+          patient.status === SHARE_STATUS.PENDING ? 'Daveti Reddet' : 'Paylaşımdan Ayrıl',
+          `${patient.name} kişisinin ilaçlarına erişiminiz kalmayacak.`,
+          patient.id
+        )}
+      >
+        <Text style={styles.removeButtonText}>✕</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={false}
+      visible={isVisible}
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <StatusBar style="light" backgroundColor="#1a365d" />
+
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Paylaşım</Text>
+          <Text style={styles.subtitle}>Yakınlarınız ilaçlarınızı takip edebilir, siz de onlarınkini.</Text>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+          {isLoading ? (
+            <ActivityIndicator size="large" color="#1a365d" style={styles.spinner} />
+          ) : (
+            <>
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>Bakıcılarım</Text>
+                <TextInput
+                  style={[styles.input, error && styles.inputError]}
+                  placeholder="Bakıcının e-posta adresi"
+                  placeholderTextColor="#9ca3af"
+                  value={email}
+                  onChangeText={setEmail}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  editable={!isSaving}
+                />
+                <View style={styles.chipRow}>
+                  {Object.values(SHARE_PERMISSIONS).map(value => (
+                    <TouchableOpacity
+                      key={value}
+                      style={[styles.chip, permission === value && styles.chipSelected]}
+                      onPress={() => setPermission(value)}
+                      disabled={isSaving}
+                    >
+                      <Text style={[styles.chipText, permission === value && styles.chipTextSelected]}>
+                        {PERMISSION_LABELS[value]}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {!!error && <Text style={styles.errorText}>{error}</Text>}
+                <TouchableOpacity
+                  style={[styles.inviteButton, (isSaving || !email.trim()) && styles.buttonDisabled]}
+                  onPress={handleInvite}
+                  disabled={isSaving || !email.trim()}
+                >
+                  <Text style={styles.inviteButtonText}>{isSaving ? 'Gönderiliyor...' : 'Davet Et'}</Text>
+                </TouchableOpacity>
+
+                {caregivers.length === 0 ? (
+                  <Text style={styles.emptyText}>Henüz bakıcı davet etmediniz.</Text>
+                ) : (
+                  caregivers.map(renderCaregiver)
+                )}
+              </View>
+
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>Acil Durum Kişileri</Text>
+                <Text style={styles.cardDescription}>
+                  Bir dozu kaçırdığınızda bu kişilere haber verilir.
+                </Text>
+                <TextInput
+                  style={[styles.input, contactError && styles.inputError]}
+                  placeholder="Ad"
+                  placeholderTextColor="#9ca3af"
+                  value={contactForm.name}
+                  onChangeText={(name) => setContactForm({ ...contactForm, name })}
+                  editable={!isSaving}
+                />
+                <View style={styles.chipRow}>
+                  {Object.values(CONTACT_CHANNELS).map(channel => (
+                    <TouchableOpacity
+                      key={channel}
+                      style={[styles.chip, contactForm.channel === channel && styles.chipSelected]}
+                      onPress={() => setContactForm({ ...contactForm, channel })}
+                      disabled={isSaving}
+                    >
+                      <Text style={[styles.chipText, contactForm.channel === channel && styles.chipTextSelected]}>
+                        {CHANNEL_LABELS[channel]}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <TextInput
+                  style={[styles.input, contactError && styles.inputError]}
+                  placeholder={CHANNEL_PLACEHOLDERS[contactForm.channel]}
+                  placeholderTextColor="#9ca3af"
+                  value={contactForm.target}
+                  onChangeText={(target) => setContactForm({ ...contactForm, target })}
+                  keyboardType={contactForm.channel === CONTACT_CHANNELS.WEBHOOK ? 'url' : 'email-address'}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  editable={!isSaving}
+                />
+                {!!contactError && <Text style={styles.errorText}>{contactError}</Text>}
+                <TouchableOpacity
+                  style={[styles.inviteButton, isSaving && styles.buttonDisabled]}
+                  onPress={handleAddContact}
+                  disabled={isSaving}
+                >
+                  <Text style={styles.inviteButtonText}>Kişi Ekle</Text>
+                </TouchableOpacity>
+
+                {contacts.length === 0 ? (
+                  <Text style={styles.emptyText}>Henüz acil durum kişisi eklemediniz.</Text>
+                ) : (
+                  contacts.map(renderContact)
+                )}
+              </View>
+
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>Takip Ettiklerim</Text>
+                {patients.length === 0 ? (
+                  <Text style={styles.emptyText}>Size gönderilmiş bir davet yok.</Text>
+                ) : (
+                  patients.map(renderPatient)
+                )}
+              </View>
+            </>
+          )}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f3f4f6',
+  },
+  header: {
+    backgroundColor: '#1a365d',
+    paddingTop: 20,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+  },
+  closeButton: {
+    alignSelf: 'flex-end',
+    padding: 4,
+  },
+  closeButtonText: {
+    fontSize: 22,
+    color: 'white',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#cbd5e0',
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  spinner: {
+    marginTop: 40,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 12,
+  },
+  cardDescription: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginTop: -4,
+    marginBottom: 12,
+  },
+  input: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    fontSize: 16,
+    color: '#111827',
+    marginBottom: 12,
+  },
+  inputError: {
+    borderColor: '#ef4444',
+    backgroundColor: '#fef2f2',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    backgroundColor: '#f9fafb',
+    borderRadius: 20,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#1a365d',
+    borderColor: '#1a365d',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  inviteButton: {
+    backgroundColor: '#1a365d',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  inviteButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  emptyText: {
+    color: '#6b7280',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  rowDetail: {
+    fontSize: 13,
+    color: '#6b7280',
+  },
+  rowButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: '#e0e7ff',
+    marginLeft: 8,
+  },
+  rowButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1a365d',
+  },
+  removeButton: {
+    padding: 8,
+    marginLeft: 4,
+  },
+  removeButtonText: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+});
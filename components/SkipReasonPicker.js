@@ -0,0 +1,99 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal
+} from 'react-native';
+import { SKIP_REASONS } from '../services/pills';
+
+// Asks why a dose is skipped; `onSelect` receives a SKIP_REASONS key
+export default function SkipReasonPicker({ isVisible, pill, dose, onClose, onSelect }) {
+  if (!pill || !dose) {
+    return null;
+  }
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={isVisible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>⏭ Dozu Atla</Text>
+          <Text style={styles.subtitle}>
+            {pill.name} ilacının {dose.time} dozunu neden atlıyorsunuz?
+          </Text>
+
+          {Object.entries(SKIP_REASONS).map(([reason, label]) => (
+            <TouchableOpacity
+              key={reason}
+              style={styles.reasonButton}
+              onPress={() => onSelect(reason)}
+            >
+              <Text style={styles.reasonText}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={styles.cancelButtonText}>İptal</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+  },
+  content: {
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 24,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a365d',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 20,
+  },
+  reasonButton: {
+    backgroundColor: '#f9fafb',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  reasonText: {
+    fontSize: 16,
+    color: '#111827',
+  },
+  cancelButton: {
+    marginTop: 8,
+    borderWidth: 2,
+    borderColor: '#6b7280',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    color: '#6b7280',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  ActivityIndicator,
+  Modal
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { getRecentAdherenceReport } from '../services/reports';
+import { fromDateKey } from '../services/schedule';
+
+const PERIODS = [7, 30, 90];
+
+export default function Statistics({ isVisible, onClose }) {
+  const [period, setPeriod] = useState(7);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isVisible) {
+      loadReport(period);
+    }
+  }, [isVisible, period]);
+
+  const loadReport = async (days) => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const result = await getRecentAdherenceReport(days);
+      setReport(result);
+      console.log(`Report loaded for last ${days} days`);
+    } catch (loadError) {
+      console.error('Error loading report:', loadError.message);
+      setError('İstatistikler yüklenirken bir hata oluştu.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatRate = (rate) => (rate === null ? '–' : `%${rate}`);
+
+  const formatDelay = (minutes) => {
+    if (minutes === null) return '–';
+    if (minutes === 0) return 'Zamanında';
+    return minutes > 0 ? `${minutes} dk geç` : `${Math.abs(minutes)} dk erken`;
+  };
+
+  const formatDay = (key) => fromDateKey(key).toLocaleDateString('tr-TR', { day: 'numeric', month: 'short' });
+
+  const getBarColor = (rate) => {
+    if (rate === null) return '#e5e7eb';
+    if (rate >= 90) return '#059669';
+    if (rate >= 60) return '#d97706';
+    return '#dc2626';
+  };
+
+  const renderSummary = () => {
+    const { totals, streaks } = report;
+    const items = [
+      { label: 'Uyum', value: formatRate(totals.adherenceRate) },
+      { label: 'Zamanında', value: totals.onTime },
+      { label: 'Geç', value: totals.late },
+      { label: 'Erken', value: totals.early },
+      { label: 'Kaçırılan', value: totals.missed },
+      { label: 'Atlanan', value: totals.skipped },
+      { label: 'Ort. Sapma', value: formatDelay(totals.averageDelay) },
+      { label: 'Güncel Seri', value: `${streaks.current} gün` },
+      { label: 'En Uzun Seri', value: `${streaks.longest} gün` },
+    ];
+
+    return (
+      <View style={styles.summaryGrid}>
+        {items.map(item => (
+          <View key={item.label} style={styles.summaryItem}>
+            <Text style={styles.summaryValue}>{item.value}</Text>
+            <Text style={styles.summaryLabel}>{item.label}</Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const renderDailyChart = () => (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Günlük Uyum</Text>
+      <View style={styles.chart}>
+        {report.days.map(day => (
+          <View key={day.date} style={styles.barSlot}>
+            <View
+              style={[
+                styles.bar,
+                {
+                  height: `${day.adherenceRate === null ? 4 : Math.max(day.adherenceRate, 4)}%`,
+                  backgroundColor: getBarColor(day.adherenceRate)
+                }
+              ]}
+            />
+          </View>
+        ))}
+      </View>
+      <View style={styles.chartAxis}>
+        <Text style={styles.axisText}>{formatDay(report.from)}</Text>
+        <Text style={styles.axisText}>{formatDay(report.to)}</Text>
+      </View>
+    </View>
+  );
+
+  const renderPillReport = (pillReport) => (
+    <View key={pillReport.pillId} style={styles.pillRow}>
+      <View style={styles.pillRowHeader}>
+        <Text style={styles.pillName}>{pillReport.name}</Text>
+        <Text style={[styles.pillRate, { color: getBarColor(pillReport.adherenceRate) }]}>
+          {formatRate(pillReport.adherenceRate)}
+        </Text>
+      </View>
+      <Text style={styles.pillDetail}>
+        {pillReport.taken}/{pillReport.expected - pillReport.pending - pillReport.skipped} alındı · {pillReport.onTime} zamanında · {pillReport.late} geç · {pillReport.early} erken · {pillReport.missed} kaçırıldı · {pillReport.skipped} atlandı
+      </Text>
+      <Text style={styles.pillDetail}>Ortalama: {formatDelay(pillReport.averageDelay)}</Text>
+    </View>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={false}
+      visible={isVisible}
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <StatusBar style="light" backgroundColor="#1a365d" />
+
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>İstatistikler</Text>
+          <View style={styles.periodRow}>
+            {PERIODS.map(days => (
+              <TouchableOpacity
+                key={days}
+                style={[styles.periodButton, period === days && styles.periodButtonSelected]}
+                onPress={() => setPeriod(days)}
+                disabled={isLoading}
+              >
+                <Text style={[styles.periodText, period === days && styles.periodTextSelected]}>
+                  {days} Gün
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          {isLoading ? (
+            <ActivityIndicator size="large" color="#1a365d" style={styles.spinner} />
+          ) : error ? (
+            <Text style={styles.errorText}>{error}</Text>
+          ) : report && report.totals.expected === 0 ? (
+            <Text style={styles.emptyText}>Bu dönemde planlanmış doz bulunmuyor.</Text>
+          ) : report ? (
+            <>
+              {renderSummary()}
+              {renderDailyChart()}
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>İlaç Bazında</Text>
+                {report.pills.map(renderPillReport)}
+              </View>
+            </>
+          ) : null}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f3f4f6',
+  },
+  header: {
+    backgroundColor: '#1a365d',
+    paddingTop: 20,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+  },
+  closeButton: {
+    alignSelf: 'flex-end',
+    padding: 4,
+  },
+  closeButtonText: {
+    fontSize: 22,
+    color: 'white',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 16,
+  },
+  periodRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  periodButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    alignItems: 'center',
+  },
+  periodButtonSelected: {
+    backgroundColor: 'white',
+  },
+  periodText: {
+    color: '#cbd5e0',
+    fontWeight: '600',
+  },
+  periodTextSelected: {
+    color: '#1a365d',
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  spinner: {
+    marginTop: 40,
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  emptyText: {
+    color: '#6b7280',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  summaryGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  summaryItem: {
+    width: '48%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    alignItems: 'center',
+  },
+  summaryValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a365d',
+    marginBottom: 4,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 12,
+  },
+  chart: {
+    height: 120,
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  barSlot: {
+    flex: 1,
+    height: '100%',
+    justifyContent: 'flex-end',
+    paddingHorizontal: 1,
+  },
+  bar: {
+    width: '100%',
+    borderRadius: 2,
+  },
+  chartAxis: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  axisText: {
+    fontSize: 12,
+    color: '#6b7280',
+  },
+  pillRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  pillRowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  pillName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  pillRate: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  pillDetail: {
+    fontSize: 13,
+    color: '#6b7280',
+  },
+});
@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Modal
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { deletePill, getUserPills, restorePill, PILL_STATUS } from '../services/pills';
+import { getActiveTimeZone } from '../services/schedule';
+import { formatDosage } from '../services/dosage';
+
+// Archived pills, to restore them or delete them for good
+export default function Trash({ isVisible, onClose, onChanged }) {
+  const [pills, setPills] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyPillId, setBusyPillId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isVisible) {
+      loadPills();
+    }
+  }, [isVisible]);
+
+  const loadPills = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const archived = await getUserPills({ status: PILL_STATUS.ARCHIVED });
+      // Most recently removed first
+      setPills(archived.sort((a, b) => (b.archived_at || '').localeCompare(a.archived_at || '')));
+    } catch (loadError) {
+      console.error('Error loading trash:', loadError.message);
+      setError('Çöp kutusu yüklenirken bir hata oluştu.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatArchivedAt = (pill) => new Date(pill.archived_at).toLocaleDateString('tr-TR', {
+    timeZone: getActiveTimeZone(),
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+
+  const handleRestore = async (pill) => {
+    try {
+      setBusyPillId(pill.id);
+      await restorePill(pill.id);
+      setPills(prev => prev.filter(item => item.id !== pill.id));
+      onChanged?.();
+    } catch (restoreError) {
+      console.error('Error restoring pill:', restoreError.message);
+      Alert.alert('Hata', 'İlaç geri yüklenirken bir hata oluştu.', [{ text: 'Tamam' }]);
+    } finally {
+      setBusyPillId(null);
+    }
+  };
+
+  const handlePurge = (pill) => {
+    Alert.alert(
+      'Kalıcı Olarak Sil',
+      `${pill.name} ilacı ve tüm geçmişi kalıcı olarak silinecek. Bu işlem geri alınamaz.`,
+      [
+        { text: 'İptal', style: 'cancel' },
+        {
+          text: 'Kalıcı Sil',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setBusyPillId(pill.id);
+              await deletePill(pill.id);
+              setPills(prev => prev.filter(item => item.id !== pill.id));
+              console.log('Pill purged:', pill.name);
+            } catch (purgeError) {
+              console.error('Error purging pill:', purgeError.message);
+              Alert.alert('Hata', 'İlaç silinirken bir hata oluştu.', [{ text: 'Tamam' }]);
+            } finally {
+              setBusyPillId(null);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderPill = (pill) => (
+    <View key={pill.id} style={styles.pillRow}>
+      <Text style={styles.pillName}>{pill.name}</Text>
+      {!!formatDosage(pill) && (
+        <Text style={styles.pillDetail}>{formatDosage(pill)}</Text>
+      )}
+      <Text style={styles.pillDetail}>Silinme: {formatArchivedAt(pill)}</Text>
+      <View style={styles.actionRow}>
+        <TouchableOpacity
+          style={styles.restoreButton}
+          onPress={() => handleRestore(pill)}
+          disabled={!!busyPillId}
+        >
+          <Text style={styles.restoreButtonText}>Geri Yükle</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.purgeButton}
+          onPress={() => handlePurge(pill)}
+          disabled={!!busyPillId}
+        >
+          <Text style={styles.purgeButtonText}>Kalıcı Sil</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={false}
+      visible={isVisible}
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <StatusBar style="light" backgroundColor="#1a365d" />
+
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>✕</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Çöp Kutusu</Text>
+          <Text style={styles.subtitle}>
+            Silinen ilaçların geçmişi korunur; geri yükleyebilir veya kalıcı olarak silebilirsiniz.
+          </Text>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          {isLoading ? (
+            <ActivityIndicator size="large" color="#1a365d" style={styles.spinner} />
+          ) : error ? (
+            <Text style={styles.errorText}>{error}</Text>
+          ) : pills.length === 0 ? (
+            <Text style={styles.emptyText}>Çöp kutusu boş.</Text>
+          ) : (
+            <View style={styles.card}>
+              {pills.map(renderPill)}
+            </View>
+          )}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f3f4f6',
+  },
+  header: {
+    backgroundColor: '#1a365d',
+    paddingTop: 20,
+    paddingBottom: 20,
+    paddingHorizontal: 20,
+  },
+  closeButton: {
+    alignSelf: 'flex-end',
+    padding: 4,
+  },
+  closeButtonText: {
+    fontSize: 22,
+    color: 'white',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#cbd5e0',
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  spinner: {
+    marginTop: 40,
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  emptyText: {
+    color: '#6b7280',
+    fontSize: 16,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  pillRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  pillName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 4,
+  },
+  pillDetail: {
+    fontSize: 13,
+    color: '#6b7280',
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 10,
+  },
+  restoreButton: {
+    flex: 1,
+    backgroundColor: '#1a365d',
+    borderRadius: 12,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  restoreButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  purgeButton: {
+    flex: 1,
+    borderWidth: 2,
+    borderColor: '#ef4444',
+    borderRadius: 12,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  purgeButtonText: {
+    color: '#ef4444',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,66 @@
+import { lookup } from 'node:dns/promises';
+import { request } from 'node:https';
+import { isIP } from 'node:net';
+import { createClient } from '@supabase/supabase-js';
+import { runMissedDoseAlerts } from '../supabase/functions/_shared/missedDoseAlerts.js';
+import { createDefaultNotifiers } from '../supabase/functions/_shared/notifiers.js';
+
+/**
+ * Missed dose alerts, run locally with Node (20.19+ or 22+)
+ * Defaults to the local Supabase stack started with `supabase start`:
+ *   SUPABASE_SERVICE_ROLE_KEY=... npm run alerts:missed -- --dry-run
+ * Set SUPABASE_URL to run against another project.
+ */
+
+const supabaseUrl = process.env.SUPABASE_URL || 'http://127.0.0.1:54321';
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!serviceRoleKey) {
+  console.error('SUPABASE_SERVICE_ROLE_KEY is required (see `supabase status`)');
+  process.exit(1);
+}
+
+// Webhooks go to the address that was checked: the lookup hands https that address
+// instead of resolving the host again, while TLS is verified against the host name
+const postToAddress = ({ url, address, body }) => new Promise((resolve, reject) => {
+  const family = isIP(address);
+  const payload = JSON.stringify(body);
+  const req = request(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+    lookup: (hostname, options, callback) => (options.all
+      ? callback(null, [{ address, family }])
+      : callback(null, address, family)),
+    timeout: 10000,
+  }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => { text += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, text }));
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`${url.host} timed out`)));
+  req.on('error', reject);
+  req.end(payload);
+});
+
+const supabase = createClient(supabaseUrl, serviceRoleKey, {
+  auth: { persistSession: false, autoRefreshToken: false },
+});
+
+try {
+  await runMissedDoseAlerts({
+    supabase,
+    notifiers: createDefaultNotifiers({
+      supabase,
+      env: process.env,
+      // Webhook hosts are checked against the addresses they resolve to
+      resolveHost: async (hostname) => (await lookup(hostname, { all: true })).map(({ address }) => address),
+      post: postToAddress,
+    }),
+    dryRun: process.argv.includes('--dry-run'),
+  });
+} catch (error) {
+  console.error('Missed dose alerts failed:', error.message);
+  process.exit(1);
+}
@@ -1,4 +1,5 @@
 import { supabase } from '../config/supabase';
+import { getDeviceTimeZone } from './schedule';
 
 /**
  * Authentication service for PillTracker app
@@ -18,6 +19,7 @@ export const signUp = async (email, password, firstName, lastName) => {
           first_name: firstName,
           last_name: lastName,
           full_name: `${firstName} ${lastName}`,
+          timezone: getDeviceTimeZone(),
         },
       },
     });
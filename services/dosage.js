@@ -0,0 +1,91 @@
+/**
+ * Dosage helpers for PillTracker
+ * Units, pharmaceutical forms and formatting of a pill's dose
+ */
+
+// Units a dose amount can be expressed in
+export const DOSE_UNITS = {
+  mg: 'mg',
+  mcg: 'mcg',
+  g: 'g',
+  ml: 'ml',
+  iu: 'IU',
+  puff: 'puf',
+  drop: 'damla',
+};
+
+// Pharmaceutical forms
+export const PILL_FORMS = {
+  tablet: 'Tablet',
+  capsule: 'Kapsül',
+  syrup: 'Şurup',
+  injection: 'Enjeksiyon',
+  inhaler: 'İnhaler',
+  drops: 'Damla',
+  cream: 'Krem',
+  other: 'Diğer',
+};
+
+// Validate dosage input and map it to pill columns
+export const buildDosageFields = ({ doseAmount, doseUnit, form, doseQuantity } = {}) => {
+  const fields = {
+    dose_amount: null,
+    dose_unit: null,
+    form: null,
+    dose_quantity: 1,
+  };
+
+  if (doseAmount !== undefined && doseAmount !== null && doseAmount !== '') {
+    const amount = Number(doseAmount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Invalid dose amount');
+    }
+    if (!DOSE_UNITS[doseUnit]) {
+      throw new Error('Invalid dose unit');
+    }
+    fields.dose_amount = amount;
+    fields.dose_unit = doseUnit;
+  }
+
+  if (form) {
+    if (!PILL_FORMS[form]) {
+      throw new Error('Invalid pill form');
+    }
+    fields.form = form;
+  }
+
+  if (doseQuantity !== undefined && doseQuantity !== null && doseQuantity !== '') {
+    const quantity = Number(doseQuantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new Error('Invalid dose quantity');
+    }
+    fields.dose_quantity = quantity;
+  }
+
+  return fields;
+};
+
+// Human readable dose, e.g. "500 mg · 2 tablet" (empty when nothing is recorded)
+export const formatDosage = (pill) => {
+  const parts = [];
+
+  if (pill.dose_amount) {
+    parts.push(`${Number(pill.dose_amount).toLocaleString('tr-TR')} ${DOSE_UNITS[pill.dose_unit] || pill.dose_unit}`);
+  }
+
+  if (pill.form) {
+    const formLabel = (PILL_FORMS[pill.form] || pill.form).toLocaleLowerCase('tr-TR');
+    parts.push(`${Number(pill.dose_quantity || 1).toLocaleString('tr-TR')} ${formLabel}`);
+  } else if (pill.dose_quantity && Number(pill.dose_quantity) !== 1) {
+    parts.push(`${Number(pill.dose_quantity).toLocaleString('tr-TR')} adet`);
+  }
+
+  return parts.join(' · ');
+};
+
+export default {
+  DOSE_UNITS,
+  PILL_FORMS,
+  buildDosageFields,
+  formatDosage,
+};
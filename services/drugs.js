@@ -0,0 +1,105 @@
+import drugCatalogue from '../assets/data/drugs.json';
+
+/**
+ * Drug catalogue for PillTracker
+ * A bundled, offline subset of the Turkish drug list (brand, active ingredient, ATC code,
+ * form and strength) used to autocomplete pill names. A pill picked from the catalogue
+ * keeps the entry's `id` in `drug_id`, so the same drug is recognised whatever its name.
+ */
+
+// Suggestions shown while typing
+const DEFAULT_SEARCH_LIMIT = 6;
+
+// Shortest query that is searched
+export const MIN_SEARCH_LENGTH = 2;
+
+// Lowercase and strip Turkish diacritics so "Ürikoliz", "urikoliz" and "ÜRİKOLİZ" match
+export const normalizeDrugName = (value) => (value || '')
+  .toLocaleLowerCase('tr-TR')
+  .replace(/[çğıöşü]/g, char => ({ ç: 'c', ğ: 'g', ı: 'i', ö: 'o', ş: 's', ü: 'u' })[char])
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const drugsById = new Map(drugCatalogue.map(drug => [drug.id, drug]));
+
+// Names a drug is found by: the brand and the active ingredient
+const searchIndex = drugCatalogue.map(drug => ({
+  drug,
+  name: normalizeDrugName(drug.name),
+  ingredient: normalizeDrugName(drug.ingredient),
+}));
+
+// Catalogue entry of a drug id, or null
+export const getDrug = (drugId) => drugsById.get(drugId) || null;
+
+// Catalogue entries matching a typed name, best first: brand prefix, then a word of the
+// brand or ingredient starting with the query, then the query anywhere in either
+export const searchDrugs = (query, { limit = DEFAULT_SEARCH_LIMIT } = {}) => {
+  const term = normalizeDrugName(query);
+  if (term.length < MIN_SEARCH_LENGTH) {
+    return [];
+  }
+
+  const startsWord = (text) => text.split(/[\s+()-]+/).some(word => word.startsWith(term));
+
+  const rank = ({ name, ingredient }) => {
+    if (name.startsWith(term)) return 0;
+    if (startsWord(name) || startsWord(ingredient)) return 1;
+    if (name.includes(term) || ingredient.includes(term)) return 2;
+    return null;
+  };
+
+  return searchIndex
+    .map(entry => ({ drug: entry.drug, rank: rank(entry) }))
+    .filter(entry => entry.rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.drug.name.localeCompare(b.drug.name, 'tr-TR'))
+    .slice(0, limit)
+    .map(entry => entry.drug);
+};
+
+// Catalogue entry whose brand name is exactly the given name, when only one strength
+// of it exists (e.g. a name typed in full without picking a suggestion)
+export const findDrugByName = (name) => {
+  const term = normalizeDrugName(name);
+  const matches = searchIndex.filter(entry => entry.name === term);
+  return matches.length === 1 ? matches[0].drug : null;
+};
+
+// ATC code of a pill: its catalogue entry's, or that of the brand or active ingredient
+// its name spells out in full when they all share one code. Null when unknown.
+export const getPillAtc = (pill) => {
+  const drug = getDrug(pill.drug_id);
+  if (drug) {
+    return drug.atc;
+  }
+
+  const term = normalizeDrugName(pill.name);
+  const codes = new Set(searchIndex
+    .filter(entry => entry.name === term || entry.ingredient === term)
+    .map(entry => entry.drug.atc));
+  return codes.size === 1 ? [...codes][0] : null;
+};
+
+// Normalized active ingredients of a pill ("amoksisilin + klavulanik asit" gives both):
+// its catalogue entry's, or those of the brand or ingredient its name spells out in full
+// when they all share them. Empty when unknown.
+export const getPillIngredients = (pill) => {
+  const drug = getDrug(pill.drug_id);
+  const term = normalizeDrugName(pill.name);
+  const ingredients = drug
+    ? [normalizeDrugName(drug.ingredient)]
+    : [...new Set(searchIndex
+      .filter(entry => entry.name === term || entry.ingredient === term)
+      .map(entry => entry.ingredient))];
+
+  return ingredients.length === 1 ? ingredients[0].split(/\s*\+\s*/) : [];
+};
+
+export default {
+  normalizeDrugName,
+  getDrug,
+  searchDrugs,
+  findDrugByName,
+  getPillAtc,
+  getPillIngredients,
+};
@@ -0,0 +1,126 @@
+import { supabase } from '../config/supabase';
+import { getSessionUser } from './localStore';
+
+/**
+ * Emergency contacts for PillTracker
+ * People told by the server-side missed dose job (supabase/functions/missed-dose-alerts)
+ * when the user misses a dose.
+ */
+
+// How a contact is reached
+export const CONTACT_CHANNELS = {
+  // Push notification to the contact's own PillTracker app (target: account email)
+  PUSH: 'push',
+  EMAIL: 'email',
+  WEBHOOK: 'webhook',
+};
+
+const EMAIL_REGEX = /^[^\s@%*,()]+@[^\s@%*,()]+\.[^\s@%*,()]+$/;
+
+// Validate and normalize a contact target for its channel
+const normalizeTarget = (channel, target) => {
+  const value = (target || '').trim();
+
+  if (channel === CONTACT_CHANNELS.WEBHOOK) {
+    if (!/^https:\/\/\S+$/.test(value)) {
+      throw new Error('Invalid webhook URL');
+    }
+    return value;
+  }
+
+  if (!EMAIL_REGEX.test(value)) {
+    throw new Error('Invalid email');
+  }
+  return value.toLowerCase();
+};
+
+// Emergency contacts of the current user
+export const getEmergencyContacts = async () => {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from('emergency_contacts')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Get emergency contacts failed:', error.message);
+    throw error;
+  }
+};
+
+// Add an emergency contact
+export const addEmergencyContact = async ({ name, channel, target }) => {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    if (!name || !name.trim()) {
+      throw new Error('Contact name is required');
+    }
+    if (!Object.values(CONTACT_CHANNELS).includes(channel)) {
+      throw new Error('Invalid channel');
+    }
+
+    const { data, error } = await supabase
+      .from('emergency_contacts')
+      .insert([{
+        user_id: user.id,
+        name: name.trim(),
+        channel,
+        target: normalizeTarget(channel, target)
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('Contact already added');
+      }
+      throw error;
+    }
+
+    console.log(`🚨 Emergency contact added: ${data.name} (${channel})`);
+    return data;
+  } catch (error) {
+    console.error('Add emergency contact failed:', error.message);
+    throw error;
+  }
+};
+
+// Remove an emergency contact
+export const removeEmergencyContact = async (contactId) => {
+  try {
+    const { error } = await supabase
+      .from('emergency_contacts')
+      .delete()
+      .eq('id', contactId);
+
+    if (error) {
+      throw error;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Remove emergency contact failed:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  getEmergencyContacts,
+  addEmergencyContact,
+  removeEmergencyContact,
+};
@@ -0,0 +1,108 @@
+import interactionRules from '../assets/data/interactions.json';
+import { getPillAtc, getPillIngredients } from './drugs';
+
+/**
+ * Drug–drug interaction checks for PillTracker
+ * Compares a pill being added with the ones already taken, using a bundled offline
+ * dataset (assets/data/interactions.json). Each rule pairs two ATC codes or code
+ * prefixes (e.g. "M01A" for every NSAID) with a severity and an explanation.
+ * Pills are matched through their catalogue entry, or their name when it is unambiguous.
+ * Products sharing an active ingredient are duplicates even under different ATC codes
+ * (Aspirin N02BA01 and Coraspin B01AC06 are both acetylsalicylic acid).
+ */
+
+// Severities, from the most serious
+export const INTERACTION_SEVERITY = {
+  CONTRAINDICATED: 'contraindicated',
+  MAJOR: 'major',
+  MODERATE: 'moderate',
+  MINOR: 'minor',
+};
+
+export const SEVERITY_LABELS = {
+  contraindicated: '🚫 Birlikte kullanılmamalı',
+  major: '🔴 Ciddi',
+  moderate: '🟠 Orta',
+  minor: '🟡 Hafif',
+};
+
+const SEVERITY_ORDER = Object.values(INTERACTION_SEVERITY);
+
+// The same active ingredient twice is usually a duplicate prescription
+const DUPLICATE_INGREDIENT_RULE = {
+  severity: INTERACTION_SEVERITY.MODERATE,
+  description: 'Aynı etken madde zaten kullandığınız bir ilaçta var; doz aşımı riski.',
+};
+
+const matchesCode = (atc, code) => atc.startsWith(code);
+
+// What a pill is matched by: its ATC code and active ingredients, either may be unknown
+const getPillSubstance = (pill) => ({ atc: getPillAtc(pill), ingredients: getPillIngredients(pill) });
+
+// Rules that apply to a pair of substances, in either order
+const findRules = (a, b) => {
+  const sharesIngredient = a.ingredients.some(ingredient => b.ingredients.includes(ingredient));
+  if ((a.atc && a.atc === b.atc) || sharesIngredient) {
+    return [DUPLICATE_INGREDIENT_RULE];
+  }
+
+  if (!a.atc || !b.atc) {
+    return [];
+  }
+
+  return interactionRules.filter(({ codes: [first, second] }) =>
+    (matchesCode(a.atc, first) && matchesCode(b.atc, second)) ||
+    (matchesCode(a.atc, second) && matchesCode(b.atc, first))
+  );
+};
+
+// Interactions of a new pill (`{ name, drugId }`) with the pills already taken, as
+// `[{ pillId, pillName, severity, description }]`, the most serious first
+export const checkInteractions = (newPill, currentPills) => {
+  const isKnown = ({ atc, ingredients }) => !!atc || ingredients.length > 0;
+  const newSubstance = getPillSubstance({ name: newPill.name, drug_id: newPill.drugId });
+  if (!isKnown(newSubstance)) {
+    return [];
+  }
+
+  const warnings = [];
+
+  for (const pill of currentPills) {
+    const substance = getPillSubstance(pill);
+    if (!isKnown(substance)) {
+      continue;
+    }
+
+    // Only the most serious rule of a pair is shown
+    const [rule] = findRules(newSubstance, substance)
+      .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+    if (rule) {
+      warnings.push({
+        pillId: pill.id,
+        pillName: pill.name,
+        severity: rule.severity,
+        description: rule.description,
+      });
+    }
+  }
+
+  return warnings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+};
+
+// What the user acknowledged before saving a pill despite its interaction warnings
+export const buildInteractionAcknowledgement = (warnings) => ({
+  acknowledged_at: new Date().toISOString(),
+  warnings: warnings.map(({ pillId, pillName, severity }) => ({
+    pill_id: pillId,
+    pill_name: pillName,
+    severity,
+  })),
+});
+
+export default {
+  INTERACTION_SEVERITY,
+  SEVERITY_LABELS,
+  checkInteractions,
+  buildInteractionAcknowledgement,
+};
@@ -0,0 +1,596 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { supabase } from '../config/supabase';
+
+/**
+ * Offline-first local store for PillTracker
+ * Keeps `pills`, `pill_logs` and `profiles` on the device. Screens read and write the local
+ * copy; every write is also queued and replayed to Supabase once the connection is back.
+ */
+
+// Tables mirrored on the device
+export const LOCAL_TABLES = {
+  PILLS: 'pills',
+  PILL_LOGS: 'pill_logs',
+  PROFILES: 'profiles',
+};
+
+// Logs older than this are not kept on the device (covers the 90 day statistics)
+export const LOG_CACHE_DAYS = 120;
+
+// How long a server refresh is reused before fetching again
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+// How often queued changes are retried while some are waiting
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+// Storage keys are per user so switching accounts never mixes data
+const storageKey = (userId, name) => `@pilltracker/${userId}/${name}`;
+
+// Current user from the stored session; works without a connection
+export const getSessionUser = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.user || null;
+};
+
+// Random v4 UUID, so rows created offline already have their final id
+export const createId = () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+  const random = Math.floor(Math.random() * 16);
+  return (char === 'x' ? random : (random % 4) + 8).toString(16);
+});
+
+// Names of the errors fetch throws when no response came back
+const FETCH_ERROR_NAMES = ['TypeError', 'AbortError', 'AuthRetryableFetchError'];
+
+// Whether a Supabase error means the server could not be reached: fetch itself failed,
+// which supabase-js reports without a status or error code. An error the server answered
+// with (a statement timeout included) is not one, whatever its message says.
+export const isNetworkError = (error) => {
+  if (!error) {
+    return false;
+  }
+  if (error instanceof TypeError || FETCH_ERROR_NAMES.includes(error.name)) {
+    return true;
+  }
+
+  // PostgREST hands a failed fetch back as `{ message: 'TypeError: ...', code: '' }`
+  const failedFetch = new RegExp(`^(${FETCH_ERROR_NAMES.join('|')}|FetchError)\\b`);
+  return !error.code && !error.status && failedFetch.test(error.message || '');
+};
+
+const readJson = async (key, fallback) => {
+  const value = await AsyncStorage.getItem(key);
+  return value ? JSON.parse(value) : fallback;
+};
+
+const writeJson = (key, value) => AsyncStorage.setItem(key, JSON.stringify(value));
+
+// Several keys in one storage write, so none of them is saved without the others
+const writeJsonAll = (entries) => AsyncStorage.multiSet(entries.map(([key, value]) => [key, JSON.stringify(value)]));
+
+// Cached rows of a table
+export const getLocalRows = (userId, table) => readJson(storageKey(userId, table), []);
+
+const setLocalRows = (userId, table, rows) => writeJson(storageKey(userId, table), rows);
+
+// One cached row by id
+export const getLocalRow = async (userId, table, id) => {
+  const rows = await getLocalRows(userId, table);
+  return rows.find(row => row.id === id) || null;
+};
+
+const getQueue = (userId) => readJson(storageKey(userId, 'queue'), []);
+
+// Number of changes waiting to reach the server
+export const getPendingMutationCount = async (userId) => (await getQueue(userId)).length;
+
+const locks = new Map();
+
+// Run read-modify-write steps on a user's stored data one at a time
+const withLock = (userId, task) => {
+  const run = (locks.get(userId) || Promise.resolve()).then(task);
+  locks.set(userId, run.catch(() => {}));
+  return run;
+};
+
+const matchesAll = (row, match) => Object.entries(match).every(([field, value]) => row[field] === value);
+
+const isEqualValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Apply a mutation to cached rows
+const applyToRows = (rows, mutation) => {
+  switch (mutation.type) {
+    case 'insert':
+      return [...rows.filter(row => row.id !== mutation.row.id), mutation.row];
+    case 'update':
+      return rows.map(row => (row.id === mutation.id ? { ...row, ...mutation.changes } : row));
+    case 'increment':
+      return rows.map(row => {
+        if (row.id !== mutation.id || row[mutation.field] === null || row[mutation.field] === undefined) {
+          return row;
+        }
+        return { ...row, [mutation.field]: Math.max(0, Number(row[mutation.field]) + mutation.amount) };
+      });
+    case 'delete':
+      return rows.filter(row => !matchesAll(row, mutation.match));
+    default:
+      throw new Error(`Unknown mutation type: ${mutation.type}`);
+  }
+};
+
+// Replace one cached row (or drop it when `row` is null)
+const putLocalRow = (userId, table, id, row) => withLock(userId, async () => {
+  const rows = (await getLocalRows(userId, table)).filter(item => item.id !== id);
+  await setLocalRows(userId, table, row ? [...rows, row] : rows);
+});
+
+// Write locally and queue the change for the server, then try to send it right away.
+// Mutations:
+//   { table, type: 'insert', row }                      row needs a `createId()` id
+//   { table, type: 'update', id, changes }              fields changed on one row
+//   { table, type: 'increment', id, field, amount }     counters such as stock_count
+//   { table, type: 'delete', match }                    rows equal to every field in match
+// `dependsOn` (a row id) drops the mutation when that row's insert loses a conflict.
+// Resolves to the affected row as stored locally after the sync attempt.
+export const mutate = async (userId, mutation) => {
+  const [row] = await mutateAll(userId, [mutation]);
+  return row;
+};
+
+// Several mutations with a single sync attempt; resolves to their rows in order.
+// All of them are applied, or none when one fails.
+export const mutateAll = async (userId, mutations) => {
+  await withLock(userId, async () => {
+    const queue = await getQueue(userId);
+    const tables = new Map();
+
+    for (const mutation of mutations) {
+      if (!tables.has(mutation.table)) {
+        tables.set(mutation.table, await getLocalRows(userId, mutation.table));
+      }
+      const rows = tables.get(mutation.table);
+      const entry = {
+        ...mutation,
+        queueId: createId(),
+        queuedAt: new Date().toISOString(),
+      };
+
+      // Remember what was changed from, to spot edits made on another device meanwhile
+      if (mutation.type === 'update') {
+        const current = rows.find(row => row.id === mutation.id);
+        if (!current) {
+          throw new Error('Row not found');
+        }
+        entry.base = Object.fromEntries(Object.keys(mutation.changes).map(field => [field, current[field] ?? null]));
+      }
+
+      tables.set(mutation.table, applyToRows(rows, entry));
+      queue.push(entry);
+    }
+
+    // The local rows and the queue are saved together, so no change is kept unsent
+    await writeJsonAll([
+      ...[...tables].map(([table, rows]) => [storageKey(userId, table), rows]),
+      [storageKey(userId, 'queue'), queue],
+    ]);
+  });
+
+  await syncPendingMutations(userId);
+
+  return Promise.all(mutations.map(mutation => {
+    const id = mutation.type === 'insert' ? mutation.row.id : mutation.id;
+    return id ? getLocalRow(userId, mutation.table, id) : null;
+  }));
+};
+
+// Rank of a log status when two devices recorded the same dose slot
+const logStrength = (status) => {
+  if (status === 'missed') return 0;
+  if (status === 'skipped') return 1;
+  return 2;
+};
+
+// Replay an insert. A dose slot logged on two devices keeps the stronger record
+// (taken over skipped over missed); the losing local row is dropped.
+const replayInsert = async (userId, entry) => {
+  const { table, row } = entry;
+  const { data, error } = await supabase.from(table).insert([row]).select().single();
+
+  if (!error) {
+    await putLocalRow(userId, table, row.id, data);
+    return { id: row.id };
+  }
+
+  if (error.code !== '23505') {
+    throw error;
+  }
+
+  // Already sent before (the response was lost)
+  const { data: existing } = await supabase.from(table).select('*').eq('id', row.id).maybeSingle();
+  if (existing) {
+    await putLocalRow(userId, table, row.id, existing);
+    return { id: row.id };
+  }
+
+  if (table !== LOCAL_TABLES.PILL_LOGS) {
+    throw error;
+  }
+
+  const { data: serverLog, error: fetchError } = await supabase
+    .from(table)
+    .select('*')
+    .eq('pill_id', row.pill_id)
+    .eq('scheduled_at', row.scheduled_at)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  await putLocalRow(userId, table, row.id, null);
+
+  if (logStrength(row.status) > logStrength(serverLog.status)) {
+    const values = Object.fromEntries(Object.entries(row).filter(([field]) => field !== 'id'));
+    const { data: updated, error: updateError } = await supabase
+      .from(table)
+      .update(values)
+      .eq('id', serverLog.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    console.warn(`⚠️ Sync conflict on ${row.scheduled_time}: kept this device's ${row.status} log`);
+    await putLocalRow(userId, table, serverLog.id, updated);
+    return { id: row.id, replacedBy: serverLog.id };
+  }
+
+  console.warn(`⚠️ Sync conflict on ${row.scheduled_time}: kept the other device's ${serverLog.status} log`);
+  await putLocalRow(userId, table, serverLog.id, serverLog);
+  return { id: row.id, replacedBy: serverLog.id, dropped: true };
+};
+
+// Replay an update field by field. A field also changed on another device keeps
+// whichever edit is newer.
+const replayUpdate = async (userId, entry) => {
+  const { table, id, changes, base, queuedAt } = entry;
+  const { data: serverRow, error } = await supabase.from(table).select('*').eq('id', id).maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  // Deleted on another device
+  if (!serverRow) {
+    await putLocalRow(userId, table, id, null);
+    return;
+  }
+
+  const serverIsNewer = serverRow.updated_at && new Date(serverRow.updated_at) > new Date(queuedAt);
+  const values = {};
+
+  for (const [field, value] of Object.entries(changes)) {
+    const changedElsewhere = !isEqualValue(serverRow[field], base[field]);
+    if (changedElsewhere && serverIsNewer) {
+      console.warn(`⚠️ Sync conflict on ${table}.${field}: kept the newer edit from another device`);
+    } else {
+      values[field] = value;
+    }
+  }
+
+  if (Object.keys(values).length === 0) {
+    await putLocalRow(userId, table, id, serverRow);
+    return;
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from(table)
+    .update(values)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  await putLocalRow(userId, table, id, updated);
+};
+
+// Replay a counter change on top of the server value, so changes from both devices add up
+const replayIncrement = async (userId, entry) => {
+  const { table, id, field, amount } = entry;
+  const { data: serverRow, error } = await supabase.from(table).select('*').eq('id', id).maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!serverRow || serverRow[field] === null || serverRow[field] === undefined) {
+    await putLocalRow(userId, table, id, serverRow);
+    return;
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from(table)
+    .update({ [field]: Math.max(0, Number(serverRow[field]) + amount) })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  await putLocalRow(userId, table, id, updated);
+};
+
+const replayDelete = async (userId, entry) => {
+  let query = supabase.from(entry.table).delete().eq('user_id', userId);
+  for (const [field, value] of Object.entries(entry.match)) {
+    query = query.eq(field, value);
+  }
+
+  const { error } = await query;
+  if (error) {
+    throw error;
+  }
+};
+
+const replayMutation = (userId, entry) => {
+  switch (entry.type) {
+    case 'insert':
+      return replayInsert(userId, entry);
+    case 'update':
+      return replayUpdate(userId, entry);
+    case 'increment':
+      return replayIncrement(userId, entry);
+    case 'delete':
+      return replayDelete(userId, entry);
+    default:
+      throw new Error(`Unknown mutation type: ${entry.type}`);
+  }
+};
+
+// Point later mutations of a local row at the server row that replaced it
+const remapQueue = (queue, fromId, toId) => queue.map(entry => {
+  if (entry.id === fromId) return { ...entry, id: toId };
+  if (entry.match?.id === fromId) return { ...entry, match: { ...entry.match, id: toId } };
+  return entry;
+});
+
+const getFailedQueue = (userId) => readJson(storageKey(userId, 'failed'), []);
+
+const setFailedQueue = (userId, failed) => writeJson(storageKey(userId, 'failed'), failed);
+
+// Changes the server rejected, oldest first, with the reason in `error`. They stay
+// applied to the local copy until retried or discarded.
+export const getFailedMutations = (userId) => getFailedQueue(userId);
+
+// Queue the rejected changes again (e.g. after access was restored) and try to send them
+export const retryFailedMutations = async (userId) => {
+  await withLock(userId, async () => {
+    const failed = await getFailedQueue(userId);
+    const retried = failed.map(({ error, failedAt, ...entry }) => entry);
+    await writeJsonAll([
+      [storageKey(userId, 'queue'), [...await getQueue(userId), ...retried]],
+      [storageKey(userId, 'failed'), []],
+    ]);
+  });
+
+  return syncPendingMutations(userId);
+};
+
+// Give up on the rejected changes and go back to the server's rows
+export const discardFailedMutations = async (userId) => {
+  await withLock(userId, () => setFailedQueue(userId, []));
+  await loadLocalRows(userId, LOCAL_TABLES.PILLS, { force: true });
+};
+
+const syncs = new Map();
+
+// Send queued changes in order. Stops at the first network failure and keeps the rest
+// for later; a change the server rejects for any other reason (permissions, a
+// constraint) moves to the failed list, see getFailedMutations.
+// Resolves to the number of changes still waiting.
+export const syncPendingMutations = (userId) => {
+  if (syncs.has(userId)) {
+    return syncs.get(userId);
+  }
+
+  const sync = (async () => {
+    const droppedRows = new Set();
+
+    // Changes queued while syncing are picked up by re-reading the queue
+    for (let queue = await getQueue(userId); queue.length > 0; queue = await getQueue(userId)) {
+      const [entry] = queue;
+      let replacement = null;
+      let failure = null;
+
+      try {
+        if (entry.dependsOn && droppedRows.has(entry.dependsOn)) {
+          console.warn(`⚠️ Dropping ${entry.type} on ${entry.table}: its dose log lost a sync conflict`);
+        } else {
+          const result = await replayMutation(userId, entry);
+          if (result?.dropped) {
+            droppedRows.add(result.id);
+          } else if (result?.replacedBy) {
+            replacement = result;
+          }
+        }
+      } catch (error) {
+        if (isNetworkError(error)) {
+          console.log(`📴 Offline, ${queue.length} changes waiting to sync`);
+          return queue.length;
+        }
+        console.error(`Sync of ${entry.type} on ${entry.table} rejected:`, error.message);
+        failure = { ...entry, error: error.message, failedAt: new Date().toISOString() };
+      }
+
+      await withLock(userId, async () => {
+        const rest = (await getQueue(userId)).filter(item => item.queueId !== entry.queueId);
+        const queue = replacement ? remapQueue(rest, replacement.id, replacement.replacedBy) : rest;
+        await writeJsonAll(failure
+          ? [[storageKey(userId, 'queue'), queue], [storageKey(userId, 'failed'), [...await getFailedQueue(userId), failure]]]
+          : [[storageKey(userId, 'queue'), queue]]);
+      });
+    }
+
+    return 0;
+  })().finally(() => {
+    syncs.delete(userId);
+  });
+
+  syncs.set(userId, sync);
+  return sync;
+};
+
+const refreshedAt = new Map();
+
+// Replace the local copy with the server's once nothing is waiting to be sent
+const refreshFromServer = async (userId) => {
+  const since = new Date(Date.now() - LOG_CACHE_DAYS * 24 * 60 * 60 * 1000);
+
+  const [pillsResult, logsResult, profilesResult] = await Promise.all([
+    supabase
+      .from(LOCAL_TABLES.PILLS)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false }),
+    supabase
+      .from(LOCAL_TABLES.PILL_LOGS)
+      .select('*')
+      .eq('user_id', userId)
+      .gte('taken_at', since.toISOString())
+      .order('taken_at', { ascending: false }),
+    supabase
+      .from(LOCAL_TABLES.PROFILES)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true }),
+  ]);
+
+  if (pillsResult.error) throw pillsResult.error;
+  if (logsResult.error) throw logsResult.error;
+  if (profilesResult.error) throw profilesResult.error;
+
+  await withLock(userId, async () => {
+    // A change made while the request was running wins over the fetched rows
+    if (await getPendingMutationCount(userId) > 0) {
+      return;
+    }
+
+    await setLocalRows(userId, LOCAL_TABLES.PILLS, pillsResult.data || []);
+    await setLocalRows(userId, LOCAL_TABLES.PILL_LOGS, logsResult.data || []);
+    await setLocalRows(userId, LOCAL_TABLES.PROFILES, profilesResult.data || []);
+    refreshedAt.set(userId, Date.now());
+  });
+};
+
+// Cached rows of a table, after sending queued changes and refreshing from the server
+// when online. Offline, the local copy is returned as is.
+export const loadLocalRows = async (userId, table, { force = false } = {}) => {
+  try {
+    const pending = await syncPendingMutations(userId);
+    const isFresh = Date.now() - (refreshedAt.get(userId) || 0) < REFRESH_INTERVAL_MS;
+
+    if (pending === 0 && (force || !isFresh)) {
+      await refreshFromServer(userId);
+    }
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      throw error;
+    }
+    console.log('📴 Offline, using local data');
+  }
+
+  return getLocalRows(userId, table);
+};
+
+// Apply a row change pushed by the server (a realtime `postgres_changes` payload).
+// Rows with changes still waiting to be sent keep their local state until the replay
+// settles them. Resolves to true when the local copy changed.
+export const applyRemoteChange = (userId, table, { eventType, new: newRow, old: oldRow }) => withLock(userId, async () => {
+  const id = newRow?.id || oldRow?.id;
+  if (!id) {
+    return false;
+  }
+
+  const queue = await getQueue(userId);
+  const hasPendingChange = queue.some(entry => entry.table === table &&
+    (entry.id === id || entry.row?.id === id || entry.match?.id === id));
+  if (hasPendingChange) {
+    return false;
+  }
+
+  const rows = await getLocalRows(userId, table);
+  const current = rows.find(row => row.id === id);
+
+  if (eventType === 'DELETE') {
+    if (!current) {
+      return false;
+    }
+    await setLocalRows(userId, table, rows.filter(row => row.id !== id));
+    return true;
+  }
+
+  // Our own writes come back too; those (and older events) are already stored
+  const isStored = current?.updated_at && newRow.updated_at &&
+    new Date(current.updated_at) >= new Date(newRow.updated_at);
+  if (isStored) {
+    return false;
+  }
+
+  await setLocalRows(userId, table, [...rows.filter(row => row.id !== id), newRow]);
+  return true;
+});
+
+// Retry queued changes when the app returns to the foreground and periodically
+// while some are waiting. Returns a cleanup function.
+export const startBackgroundSync = (userId, { onSynced } = {}) => {
+  const retry = async () => {
+    const before = await getPendingMutationCount(userId);
+    if (before === 0) {
+      return;
+    }
+
+    const remaining = await syncPendingMutations(userId);
+    if (remaining < before && onSynced) {
+      onSynced(remaining);
+    }
+  };
+
+  const interval = setInterval(retry, RETRY_INTERVAL_MS);
+  const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+    if (nextState === 'active') {
+      retry();
+    }
+  });
+
+  retry();
+
+  return () => {
+    clearInterval(interval);
+    appStateSubscription.remove();
+  };
+};
+
+export default {
+  getSessionUser,
+  createId,
+  isNetworkError,
+  getLocalRows,
+  getLocalRow,
+  loadLocalRows,
+  mutate,
+  mutateAll,
+  syncPendingMutations,
+  getPendingMutationCount,
+  getFailedMutations,
+  retryFailedMutations,
+  discardFailedMutations,
+  applyRemoteChange,
+  startBackgroundSync,
+};
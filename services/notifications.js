@@ -0,0 +1,200 @@
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import { Linking, Platform } from 'react-native';
+import { supabase } from '../config/supabase';
+
+/**
+ * App-wide notification setup for PillTracker
+ * Owns permissions, channels, reminder buttons and listeners. Call `initializeNotifications`
+ * once from App.js; everything else schedules through expo-notifications directly.
+ */
+
+// Android channel every reminder is posted on
+export const REMINDER_CHANNEL_ID = 'pill-reminders';
+
+// Category of dose reminders, which carries the action buttons
+export const REMINDER_CATEGORY = 'pill-reminder';
+
+// Buttons shown on a dose reminder
+export const REMINDER_ACTIONS = {
+  TAKEN: 'taken',
+  SNOOZE: 'snooze',
+  SKIP: 'skip',
+};
+
+// How long "Snooze" postpones a reminder
+export const SNOOZE_MINUTES = 10;
+
+// Notification permission as shown to the UI
+export const PERMISSION_STATUS = {
+  GRANTED: 'granted',
+  DENIED: 'denied',
+  UNDETERMINED: 'undetermined',
+  // Simulators and emulators cannot show reminders
+  UNAVAILABLE: 'unavailable',
+};
+
+// Show reminders while the app is in the foreground too
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+// Set up the Android channel and the reminder buttons
+const setupChannels = async () => {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(REMINDER_CHANNEL_ID, {
+      name: 'Pill Reminders',
+      importance: Notifications.AndroidImportance.MAX,
+      vibrationPattern: [0, 250, 250, 250],
+      lightColor: '#FF231F7C',
+      sound: 'default',
+    });
+  }
+
+  // Reminder buttons open the app: their responses only reach the JS listeners while the
+  // app runs, and without a background task a killed app would never log the dose
+  await Notifications.setNotificationCategoryAsync(REMINDER_CATEGORY, [
+    {
+      identifier: REMINDER_ACTIONS.TAKEN,
+      buttonTitle: '✓ Aldım',
+      options: { opensAppToForeground: true },
+    },
+    {
+      identifier: REMINDER_ACTIONS.SNOOZE,
+      buttonTitle: `${SNOOZE_MINUTES} dk Ertele`,
+      options: { opensAppToForeground: true },
+    },
+    {
+      identifier: REMINDER_ACTIONS.SKIP,
+      buttonTitle: 'Atla',
+      options: { opensAppToForeground: true, isDestructive: true },
+    },
+  ]);
+};
+
+// Current permission, without asking the user
+export const getNotificationPermissionStatus = async () => {
+  if (!Device.isDevice) {
+    return PERMISSION_STATUS.UNAVAILABLE;
+  }
+
+  const { status } = await Notifications.getPermissionsAsync();
+  return status;
+};
+
+// Ask for permission unless the user already answered
+export const requestNotificationPermission = async () => {
+  const existingStatus = await getNotificationPermissionStatus();
+  if (existingStatus !== PERMISSION_STATUS.UNDETERMINED) {
+    return existingStatus;
+  }
+
+  const { status } = await Notifications.requestPermissionsAsync();
+  return status;
+};
+
+// Denied permission can only be changed from the system settings
+export const openNotificationSettings = () => Linking.openSettings();
+
+// Register this device's Expo push token for the signed-in user, so missed dose alerts
+// about people they look after (supabase/functions/missed-dose-alerts) reach it
+export const registerPushToken = async (user) => {
+  try {
+    if (await getNotificationPermissionStatus() !== PERMISSION_STATUS.GRANTED) {
+      return null;
+    }
+
+    const { data: token } = await Notifications.getExpoPushTokenAsync();
+    const { error } = await supabase.from('push_tokens').upsert({
+      token,
+      user_id: user.id,
+      email: user.email.toLowerCase(),
+      platform: Platform.OS,
+      updated_at: new Date().toISOString(),
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return token;
+  } catch (error) {
+    console.warn('Push token registration failed:', error.message);
+    return null;
+  }
+};
+
+// Responses already handled, so the launch response is not applied twice
+const handledResponses = new Set();
+
+// Initialize notifications once for the whole app.
+// `onReminderAction` receives responses to reminder buttons (taken, snooze, skip);
+// `onOpenPill` receives `{ pillId, scheduledTime }` when a reminder itself is tapped.
+export const initializeNotifications = async ({ onReminderAction, onOpenPill } = {}) => {
+  let permissionStatus = PERMISSION_STATUS.UNDETERMINED;
+
+  try {
+    await setupChannels();
+    permissionStatus = await requestNotificationPermission();
+
+    if (permissionStatus === PERMISSION_STATUS.GRANTED) {
+      console.log('✅ Notification permissions granted');
+    } else {
+      console.warn('Notification permissions not granted:', permissionStatus);
+    }
+  } catch (error) {
+    console.error('Error setting up notifications:', error);
+  }
+
+  const handleResponse = (response) => {
+    const { request } = response.notification;
+    const responseKey = `${request.identifier}:${response.actionIdentifier}:${response.notification.date}`;
+    if (handledResponses.has(responseKey)) {
+      return;
+    }
+    handledResponses.add(responseKey);
+
+    const { pillId, scheduledTime } = request.content.data || {};
+
+    if (response.actionIdentifier === Notifications.DEFAULT_ACTION_IDENTIFIER) {
+      console.log('📱 Notification tapped:', request.content.data);
+      if (pillId && onOpenPill) {
+        onOpenPill({ pillId, scheduledTime });
+      }
+    } else if (onReminderAction) {
+      onReminderAction(response);
+    }
+  };
+
+  const notificationListener = Notifications.addNotificationReceivedListener(notification => {
+    console.log('📱 Notification received:', notification.request.content.title);
+  });
+
+  const responseListener = Notifications.addNotificationResponseReceivedListener(handleResponse);
+
+  // A tap or button that launched the app is not seen by the listener; read it here
+  const lastResponse = await Notifications.getLastNotificationResponseAsync();
+  if (lastResponse) {
+    handleResponse(lastResponse);
+  }
+
+  return {
+    permissionStatus,
+    cleanup: () => {
+      notificationListener.remove();
+      responseListener.remove();
+    }
+  };
+};
+
+export default {
+  initializeNotifications,
+  getNotificationPermissionStatus,
+  requestNotificationPermission,
+  openNotificationSettings,
+  registerPushToken,
+};
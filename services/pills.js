@@ -1,293 +1,1035 @@
 import { supabase } from '../config/supabase';
 import * as Notifications from 'expo-notifications';
-import * as Device from 'expo-device';
-import { Platform } from 'react-native';
+import {
+  getCourseEndDate,
+  getActiveTimeZone,
+  getDayRange,
+  getDeviceTimeZone,
+  getExpectedSlots,
+  getLogDateKey,
+  getLogSlotKey,
+  getPillTimes,
+  getRecurrence,
+  hasCourseEnded,
+  isDoseDay,
+  normalizeTime,
+  setActiveTimeZone,
+  getSlotKey,
+  addDaysToKey,
+  toDateKey,
+  validateRecurrence,
+  withTimeZone,
+  zonedTimeToDate,
+  RECURRENCE_TYPES,
+  SCHEDULE_FIELDS,
+  TIME_REGEX
+} from './schedule';
+import { buildDosageFields, formatDosage } from './dosage';
+import { getDrug } from './drugs';
+import {
+  createId,
+  getLocalRow,
+  getLocalRows,
+  getSessionUser,
+  isNetworkError,
+  loadLocalRows,
+  LOCAL_TABLES,
+  LOG_CACHE_DAYS,
+  mutate,
+  mutateAll,
+  syncPendingMutations
+} from './localStore';
+import {
+  REMINDER_ACTIONS,
+  REMINDER_CATEGORY,
+  REMINDER_CHANNEL_ID,
+  SNOOZE_MINUTES
+} from './notifications';
+import { getPillOwner } from './sharing';
+import { getActiveProfile, isProfilePill } from './profiles';
 
 /**
  * Pills service with proper notification setup
- * Based on Expo's recommended notification patterns
+ * Based on Expo's recommended notification patterns;
+ * permissions and listeners live in ./notifications
  */
 
-// Configure notification handler (same as the example)
-Notifications.setNotificationHandler({
-  handleNotification: async () => ({
-    shouldShowAlert: true,
-    shouldPlaySound: true,
-    shouldSetBadge: false,
-  }),
-});
-
-// Set up proper notification channels and permissions
-const setupNotifications = async () => {
-  try {
-    // Set up Android notification channel
-    if (Platform.OS === 'android') {
-      await Notifications.setNotificationChannelAsync('pill-reminders', {
-        name: 'Pill Reminders',
-        importance: Notifications.AndroidImportance.MAX,
-        vibrationPattern: [0, 250, 250, 250],
-        lightColor: '#FF231F7C',
-        sound: 'default',
-      });
-    }
+// Follow-up nudges after a reminder until the dose is confirmed (user setting)
+export const DEFAULT_FOLLOW_UP_SETTINGS = {
+  intervalMinutes: 15,
+  count: 3,
+};
 
-    // Request permissions
-    if (Device.isDevice) {
-      const { status: existingStatus } = await Notifications.getPermissionsAsync();
-      let finalStatus = existingStatus;
-      
-      if (existingStatus !== 'granted') {
-        const { status } = await Notifications.requestPermissionsAsync();
-        finalStatus = status;
-      }
-      
-      if (finalStatus !== 'granted') {
-        console.warn('Push notification permissions not granted');
+// Upper bound on follow-ups per reminder, to stay within the OS notification limits
+const MAX_FOLLOW_UPS = 6;
+
+// Apply a reminder button (taken, snooze, skip) pressed on a notification.
+// Resolves to true when a dose was changed.
+export const handleReminderAction = async (response) => {
+  const { request } = response.notification;
+  const { pillId, pillName, scheduledTime, scheduledAt, type } = request.content.data || {};
+
+  if (!['daily_reminder', 'snoozed_reminder', 'follow_up_reminder'].includes(type)) {
+    return false;
+  }
+
+  try {
+    switch (response.actionIdentifier) {
+      case REMINDER_ACTIONS.TAKEN:
+        await logPillTaken(pillId, scheduledTime, { scheduledAt });
+        console.log(`✅ ${pillName} (${scheduledTime}) taken from notification`);
+        break;
+      case REMINDER_ACTIONS.SNOOZE:
+        await snoozeReminder(request.content);
+        await Notifications.dismissNotificationAsync(request.identifier);
+        return false;
+      case REMINDER_ACTIONS.SKIP:
+        await skipDose(pillId, scheduledTime, null, { scheduledAt });
+        console.log(`⏭️ ${pillName} (${scheduledTime}) skipped from notification`);
+        break;
+      default:
         return false;
-      }
-      
-      console.log('✅ Notification permissions granted');
-      return true;
-    } else {
-      console.warn('Must use physical device for proper notifications');
-      return false;
     }
+
+    await Notifications.dismissNotificationAsync(request.identifier);
+    return true;
   } catch (error) {
-    console.error('Error setting up notifications:', error);
+    console.error('Notification action failed:', error.message);
     return false;
   }
 };
 
-// Initialize notifications (call this once in your app)
-export const initializeNotifications = async () => {
-  const permissionsGranted = await setupNotifications();
-  
-  // Set up notification listeners
-  const notificationListener = Notifications.addNotificationReceivedListener(notification => {
-    console.log('📱 Notification received:', notification.request.content.title);
-  });
+// Show the same reminder again after the snooze period
+const snoozeReminder = async (content) => {
+  const { pillId, pillName, scheduledTime } = content.data;
+  const snoozeUntil = new Date(Date.now() + SNOOZE_MINUTES * 60 * 1000);
 
-  const responseListener = Notifications.addNotificationResponseReceivedListener(response => {
-    console.log('📱 Notification tapped:', response.notification.request.content.data);
-    
-    // Handle notification tap (when user taps the notification)
-    const { pillId, pillName, type } = response.notification.request.content.data;
-    
-    if (type === 'daily_reminder') {
-      console.log(`User tapped reminder for: ${pillName}`);
-      // You can add logic here to mark pill as taken or navigate to pill screen
-    }
+  await Notifications.scheduleNotificationAsync({
+    identifier: `${getSlotNotificationId(pillId, scheduledTime)}_snooze`,
+    content: {
+      title: content.title,
+      body: content.body,
+      sound: 'default',
+      categoryIdentifier: REMINDER_CATEGORY,
+      android: {
+        channelId: REMINDER_CHANNEL_ID,
+        priority: 'max',
+      },
+      data: { ...content.data, type: 'snoozed_reminder' },
+    },
+    trigger: snoozeUntil,
   });
 
-  return {
-    permissionsGranted,
-    cleanup: () => {
-      Notifications.removeNotificationSubscription(notificationListener);
-      Notifications.removeNotificationSubscription(responseListener);
-    }
-  };
+  console.log(`😴 Reminder for ${pillName} snoozed until ${snoozeUntil.toLocaleString()}`);
+};
+
+// Cancel a snoozed reminder once its dose is settled
+const cancelSnoozedReminder = async (pillId, scheduledTime) => {
+  await Notifications.cancelScheduledNotificationAsync(`${getSlotNotificationId(pillId, scheduledTime)}_snooze`);
+};
+
+// Statuses of a pill_logs entry
+export const LOG_STATUS = {
+  ON_TIME: 'on_time',
+  LATE: 'late',
+  EARLY: 'early',
+  MISSED: 'missed',
+  SKIPPED: 'skipped',
 };
 
-// Get all pills for current user
-export const getUserPills = async () => {
+// Log statuses that mean the dose was taken
+export const TAKEN_LOG_STATUSES = [LOG_STATUS.ON_TIME, LOG_STATUS.LATE, LOG_STATUS.EARLY];
+
+// Minutes after the scheduled time before an untaken dose is recorded as missed
+export const DEFAULT_MISSED_GRACE_MINUTES = 120;
+
+// How far back missed doses are materialized when the app catches up
+const MISSED_LOOKBACK_DAYS = 7;
+
+// Lifecycle states of a pill
+export const PILL_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  // In the trash: hidden and not reminded, with its logs kept until purged
+  ARCHIVED: 'archived',
+};
+
+// Day boundaries follow the active profile's own time zone when it has one
+const applyActiveTimeZone = (accountTimeZone) => {
+  setActiveTimeZone(getActiveProfile()?.timezone || accountTimeZone);
+};
+
+// Use the profile's time zone for day boundaries, moving it along when the device
+// zone changes (e.g. travelling) so stats, timing and reminders stay in agreement
+export const syncUserTimeZone = async () => {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
+    const user = await getSessionUser();
     if (!user) {
       throw new Error('User not authenticated');
     }
 
-    const { data, error } = await supabase
-      .from('pills')
-      .select('*')
-      .eq('user_id', user.id)
-      .order('created_at', { ascending: false });
+    const profileTimeZone = user.user_metadata?.timezone;
+    const deviceTimeZone = getDeviceTimeZone();
+
+    if (profileTimeZone === deviceTimeZone) {
+      applyActiveTimeZone(profileTimeZone);
+      return { timeZone: profileTimeZone, changed: false };
+    }
+
+    const { error } = await supabase.auth.updateUser({
+      data: { timezone: deviceTimeZone }
+    });
 
     if (error) {
       throw error;
     }
 
-    return data || [];
+    applyActiveTimeZone(deviceTimeZone);
+    console.log(`🌍 Time zone changed: ${profileTimeZone || 'unset'} -> ${deviceTimeZone}`);
+
+    // Existing reminders were computed for the previous zone
+    if (profileTimeZone) {
+      await syncReminders();
+    }
+
+    return { timeZone: deviceTimeZone, changed: true };
+  } catch (error) {
+    console.error('Sync time zone failed:', error.message);
+    // Fall back to the device zone so the app keeps working offline
+    applyActiveTimeZone(getDeviceTimeZone());
+    return { timeZone: getActiveTimeZone(), changed: false };
+  }
+};
+
+// Get all pills of the active profile of the selected patient or current user (active
+// ones unless another status is given, every pill when `status` is null); `userId` picks
+// the account explicitly and `allProfiles` includes every profile's pills
+export const getUserPills = async ({ status = PILL_STATUS.ACTIVE, userId = null, allProfiles = false } = {}) => {
+  try {
+    const ownerId = userId || (await getPillOwner()).id;
+
+    // Read from the device; refreshed from the server when online
+    const pills = await loadLocalRows(ownerId, LOCAL_TABLES.PILLS);
+    const profileId = getActiveProfile()?.id;
+
+    return pills
+      .filter(pill => allProfiles || isProfilePill(pill, profileId))
+      .filter(pill => !status || pill.status === status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
   } catch (error) {
     console.error('Get user pills failed:', error.message);
     throw error;
   }
 };
 
-// Schedule notification with proper setup
-const scheduleReliableNotification = async (pill) => {
+// Dose times helper lives with the other schedule logic; re-exported for screens
+export { getPillTimes };
+
+// Whose pills are worked on (see ./sharing); re-exported for screens and reports
+export { getPillOwner };
+
+// Notification identifier for one dose slot of a pill
+const getSlotNotificationId = (pillId, time) => `pill_${pillId}_${time.replace(':', '')}`;
+
+// Cancel every scheduled notification that belongs to a pill
+const cancelPillNotifications = async (pillId) => {
+  // Legacy identifiers from the single-time schedule
+  await Notifications.cancelScheduledNotificationAsync(`pill_${pillId}`);
+  await Notifications.cancelScheduledNotificationAsync(`pill_${pillId}_backup`);
+
+  const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+  const pillNotifications = scheduled.filter(notif => notif.content.data?.pillId === pillId);
+
+  for (const notif of pillNotifications) {
+    await Notifications.cancelScheduledNotificationAsync(notif.identifier);
+  }
+};
+
+// Follow-up nudges configured for the current user
+export const getFollowUpSettings = async () => {
+  const user = await getSessionUser();
+  const intervalMinutes = Number(user?.user_metadata?.follow_up_interval_minutes);
+  const count = Number(user?.user_metadata?.follow_up_count);
+
+  return {
+    intervalMinutes: Number.isInteger(intervalMinutes) && intervalMinutes > 0
+      ? intervalMinutes
+      : DEFAULT_FOLLOW_UP_SETTINGS.intervalMinutes,
+    count: Number.isInteger(count) && count >= 0 && count <= MAX_FOLLOW_UPS
+      ? count
+      : DEFAULT_FOLLOW_UP_SETTINGS.count,
+  };
+};
+
+// Change the follow-up nudges (count 0 turns them off) and reschedule reminders
+export const setFollowUpSettings = async ({ intervalMinutes, count }) => {
   try {
-    const [hour, minute] = pill.time.split(':').map(Number);
-    
-    console.log(`📅 Scheduling reliable notification for ${pill.name} at ${hour}:${minute}`);
-    
-    // Cancel any existing notification
-    await Notifications.cancelScheduledNotificationAsync(`pill_${pill.id}`);
-    
-    // Calculate next occurrence
-    const now = new Date();
-    const nextTime = new Date();
-    nextTime.setHours(hour, minute, 0, 0);
-    
-    // If time has passed today, schedule for tomorrow
-    if (nextTime <= now) {
-      nextTime.setDate(nextTime.getDate() + 1);
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes <= 0) {
+      throw new Error('Invalid follow-up interval');
     }
-    
-    console.log(`📅 Next notification: ${nextTime.toLocaleString()}`);
-    
-    // Use date-based trigger (most reliable)
-    const notificationId = await Notifications.scheduleNotificationAsync({
-      identifier: `pill_${pill.id}`,
-      content: {
-        title: '💊 İlaç Zamanı!',
-        body: `${pill.name} alma zamanı geldi`,
-        sound: 'default',
-        android: {
-          channelId: 'pill-reminders',
-          priority: 'max',
-          sticky: false,
-        },
-        data: { 
-          pillId: pill.id, 
-          pillName: pill.name,
-          scheduledTime: pill.time,
-          type: 'daily_reminder'
-        },
-      },
-      trigger: nextTime,
-    });
-    
-    console.log(`✅ Notification scheduled: ${notificationId}`);
-    
-    // Schedule tomorrow's notification as backup
-    const tomorrow = new Date(nextTime);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    await Notifications.scheduleNotificationAsync({
-      identifier: `pill_${pill.id}_backup`,
-      content: {
-        title: '💊 İlaç Zamanı!',
-        body: `${pill.name} alma zamanı geldi`,
-        sound: 'default',
-        android: {
-          channelId: 'pill-reminders',
-          priority: 'max',
-        },
-        data: { 
-          pillId: pill.id, 
-          pillName: pill.name,
-          scheduledTime: pill.time,
-          type: 'daily_reminder'
-        },
-      },
-      trigger: tomorrow,
+    if (!Number.isInteger(count) || count < 0 || count > MAX_FOLLOW_UPS) {
+      throw new Error('Invalid follow-up count');
+    }
+
+    const { error } = await supabase.auth.updateUser({
+      data: { follow_up_interval_minutes: intervalMinutes, follow_up_count: count }
     });
-    
-    console.log(`✅ Backup notification scheduled for ${tomorrow.toLocaleString()}`);
-    return true;
-    
+
+    if (error) {
+      throw error;
+    }
+
+    await syncReminders();
+
+    return { intervalMinutes, count };
   } catch (error) {
-    console.error(`❌ Failed to schedule notification for ${pill.name}:`, error);
-    return false;
+    console.error('Set follow-up settings failed:', error.message);
+    throw error;
   }
 };
 
-// Add a new pill
-export const addPill = async (pillData) => {
+// Days ahead the rolling scheduler keeps reminders for
+const REMINDER_WINDOW_DAYS = 7;
+
+// Pending notifications the scheduler may use. iOS keeps at most 64 per app;
+// the rest is left for snoozed reminders and confirmations.
+const MAX_SCHEDULED_REMINDERS = 56;
+
+// Notification types owned by the rolling scheduler
+const SCHEDULED_REMINDER_TYPES = ['daily_reminder', 'follow_up_reminder'];
+
+// Notification identifier for one occurrence of a dose slot
+const getOccurrenceNotificationId = (pillId, dateKey, time) =>
+  `${getSlotNotificationId(pillId, time)}_${dateKey.replace(/-/g, '')}`;
+
+// Cancel the reminder and follow-ups of one dose occurrence
+const cancelOccurrenceNotifications = async (pillId, scheduledTime, scheduledAt) => {
+  const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+  const occurrenceNotifications = scheduled.filter(notif => {
+    const data = notif.content.data || {};
+    return SCHEDULED_REMINDER_TYPES.includes(data.type) &&
+      data.pillId === pillId &&
+      data.scheduledTime === scheduledTime &&
+      data.scheduledAt === scheduledAt;
+  });
+
+  for (const notif of occurrenceNotifications) {
+    await Notifications.cancelScheduledNotificationAsync(notif.identifier);
+  }
+};
+
+// Reminder text, including the dose when one is recorded
+const getReminderBody = (pill) => {
+  const dosage = formatDosage(pill);
+  return dosage ? `${pill.name} (${dosage}) alma zamanı geldi` : `${pill.name} alma zamanı geldi`;
+};
+
+// Notification request for a dose slot; `followUp` is the nudge number, 0 for the reminder itself
+const buildReminderRequest = (slot, followUp = 0, { intervalMinutes, count } = {}) => {
+  const { pill, profile, date, time, scheduledAt } = slot;
+  const identifier = getOccurrenceNotificationId(pill.id, date, time);
+  const trigger = new Date(scheduledAt.getTime() + followUp * (intervalMinutes || 0) * 60 * 1000);
+
+  let title = '💊 İlaç Zamanı!';
+  if (followUp > 0) {
+    title = followUp === count ? '⚠️ Son Hatırlatma!' : `⏰ Hatırlatma (${followUp}/${count})`;
+  }
+
+  // Say whose dose it is when it belongs to a dependent profile
+  if (profile) {
+    title = `${title} · ${profile.avatar} ${profile.name}`;
+  }
+
+  return {
+    identifier: followUp > 0 ? `${identifier}_followup_${followUp}` : identifier,
+    content: {
+      title,
+      body: followUp > 0
+        ? `${getReminderBody(pill)} - henüz alındı olarak işaretlenmedi`
+        : getReminderBody(pill),
+      sound: 'default',
+      categoryIdentifier: REMINDER_CATEGORY,
+      android: {
+        channelId: REMINDER_CHANNEL_ID,
+        priority: 'max',
+        sticky: false,
+      },
+      data: {
+        pillId: pill.id,
+        pillName: pill.name,
+        scheduledTime: time,
+        scheduledAt: scheduledAt.toISOString(),
+        triggerAt: trigger.toISOString(),
+        type: followUp > 0 ? 'follow_up_reminder' : 'daily_reminder'
+      },
+    },
+    trigger,
+  };
+};
+
+// An account's pills by profile (null for the account's own), each with the time zone
+// its doses are due in
+const groupPillsByProfile = async (ownerId, pills) => {
+  const user = await getSessionUser();
+  const profiles = await getLocalRows(ownerId, LOCAL_TABLES.PROFILES);
+  const accountTimeZone = user?.user_metadata?.timezone || getDeviceTimeZone();
+
+  return [null, ...profiles].map(profile => ({
+    profile,
+    pills: pills.filter(pill => isProfilePill(pill, profile?.id)),
+    timeZone: profile?.timezone || accountTimeZone,
+  }));
+};
+
+// Unsettled dose slots in the reminder window. `groups` holds each profile's pills
+// and logs with its time zone, since a profile's doses are due in its own zone.
+const getReminderSlots = (groups, now) => groups.flatMap(({ profile, pills, logs, timeZone }) =>
+  withTimeZone(timeZone, () => {
+    const todayKey = toDateKey(now);
+    const settledSlots = new Set(logs.map(getLogSlotKey));
+
+    // Yesterday's late doses may still have follow-ups to come
+    return getExpectedSlots(pills, addDaysToKey(todayKey, -1), addDaysToKey(todayKey, REMINDER_WINDOW_DAYS))
+      .filter(slot => !settledSlots.has(slot.key))
+      .map(slot => ({ ...slot, profile }));
+  })
+);
+
+// Reminders that should be pending: every unsettled dose slot in the window,
+// reminders first and follow-ups with what is left of the notification limit
+const buildReminderPlan = (slots, followUps, now = new Date()) => {
+  const byTrigger = (a, b) => a.trigger - b.trigger;
+
+  const reminders = slots
+    .filter(slot => slot.scheduledAt > now)
+    .map(slot => buildReminderRequest(slot))
+    .sort(byTrigger)
+    .slice(0, MAX_SCHEDULED_REMINDERS);
+
+  const lastReminder = reminders.length > 0 ? reminders[reminders.length - 1].trigger : now;
+  const nudges = slots
+    .flatMap(slot => Array.from({ length: followUps.count }, (_, index) => buildReminderRequest(slot, index + 1, followUps)))
+    .filter(request => request.trigger > now && request.trigger <= lastReminder)
+    .sort(byTrigger)
+    .slice(0, MAX_SCHEDULED_REMINDERS - reminders.length);
+
+  return [...reminders, ...nudges];
+};
+
+// Bring the pending notifications in line with the reminder plan
+const reconcileReminders = async () => {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
+    const user = await getSessionUser();
     if (!user) {
       throw new Error('User not authenticated');
     }
 
-    // Validate time format
-    const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-    if (!timeRegex.test(pillData.time)) {
-      throw new Error('Invalid time format');
+    const now = new Date();
+    // Reminders are for the user's own pills of every profile, whichever patient is selected
+    const pills = await getUserPills({ userId: user.id, allProfiles: true });
+    const followUps = await getFollowUpSettings();
+
+    // Doses already taken, skipped or recorded as missed get no more reminders
+    const since = zonedTimeToDate(addDaysToKey(toDateKey(now), -2), '00:00');
+    const logs = (await getLocalRows(user.id, LOCAL_TABLES.PILL_LOGS))
+      .filter(log => new Date(log.taken_at) >= since);
+
+    const groups = (await groupPillsByProfile(user.id, pills)).map(group => {
+      const pillIds = new Set(group.pills.map(pill => pill.id));
+      return { ...group, logs: logs.filter(log => pillIds.has(log.pill_id)) };
+    });
+
+    const plan = buildReminderPlan(getReminderSlots(groups, now), followUps, now);
+    const settledDoses = new Set(logs
+      .filter(log => log.scheduled_at)
+      .map(log => `${log.pill_id}|${new Date(log.scheduled_at).getTime()}`));
+    const planned = new Map(plan.map(request => [request.identifier, request]));
+
+    // Keep what is still planned unchanged; drop the rest, legacy identifiers included
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    const pending = new Set();
+    let removed = 0;
+
+    for (const notif of scheduled) {
+      const data = notif.content.data || {};
+
+      // A snoozed dose may have been settled since, e.g. on another device
+      if (data.type === 'snoozed_reminder' && data.scheduledAt) {
+        if (settledDoses.has(`${data.pillId}|${new Date(data.scheduledAt).getTime()}`)) {
+          await Notifications.cancelScheduledNotificationAsync(notif.identifier);
+          removed += 1;
+        }
+        continue;
+      }
+
+      if (!SCHEDULED_REMINDER_TYPES.includes(data.type)) {
+        continue;
+      }
+
+      const request = planned.get(notif.identifier);
+      const unchanged = request &&
+        data.triggerAt === request.content.data.triggerAt &&
+        notif.content.title === request.content.title &&
+        notif.content.body === request.content.body;
+
+      if (unchanged) {
+        pending.add(notif.identifier);
+      } else {
+        await Notifications.cancelScheduledNotificationAsync(notif.identifier);
+        removed += 1;
+      }
+    }
+
+    let added = 0;
+    for (const request of plan) {
+      if (!pending.has(request.identifier)) {
+        await Notifications.scheduleNotificationAsync(request);
+        added += 1;
+      }
+    }
+
+    console.log(`🔄 Reminders synced: ${plan.length} pending, ${added} added, ${removed} removed`);
+    return { scheduled: plan.length, added, removed };
+  } catch (error) {
+    console.error('Sync reminders failed:', error.message);
+    return null;
+  }
+};
+
+let reminderSync = null;
+let reminderSyncQueued = false;
+
+// Keep a rolling window of reminders for every active pill. Call it on app start,
+// on foreground and after any change to pills or logs; only the difference to what
+// is already pending is applied. Calls made during a sync queue one more run.
+export const syncReminders = () => {
+  if (reminderSync) {
+    reminderSyncQueued = true;
+    return reminderSync;
+  }
+
+  reminderSync = (async () => {
+    let result;
+    do {
+      reminderSyncQueued = false;
+      result = await reconcileReminders();
+    } while (reminderSyncQueued);
+    return result;
+  })().finally(() => {
+    reminderSync = null;
+  });
+
+  return reminderSync;
+};
+
+// Validate optional inventory input and map it to pill columns
+const buildStockFields = ({ stockCount, packSize, refillThreshold }) => {
+  const toOptionalNumber = (value, name, allowZero) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
     }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || (!allowZero && number === 0)) {
+      throw new Error(`Invalid ${name}`);
+    }
+    return number;
+  };
+
+  return {
+    stock_count: toOptionalNumber(stockCount, 'stock count', true),
+    pack_size: toOptionalNumber(packSize, 'pack size', false),
+    refill_threshold: toOptionalNumber(refillThreshold, 'refill threshold', true) ?? 0
+  };
+};
+
+// Validate schedule input (dose times, recurrence and course limits) and map it to pill
+// columns. An edited pill (`existing`) keeps its recurrence anchor while the recurrence stays,
+// and one saved without a start date keeps none unless a new one is given.
+const buildScheduleFields = (pillData, existing = null) => {
+  // Accept either a list of dose times or a single time
+  const rawTimes = pillData.times || [pillData.time];
+  if (rawTimes.length === 0) {
+    throw new Error('At least one dose time is required');
+  }
+
+  // Validate time format
+  if (!rawTimes.every(time => TIME_REGEX.test(time))) {
+    throw new Error('Invalid time format');
+  }
+
+  const times = [...new Set(rawTimes.map(normalizeTime))].sort();
+
+  // Course limits: start date, then either an end date, a number of days or a number of doses
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  const startDate = pillData.startDate || (existing ? null : toDateKey(new Date()));
+  if (startDate && !dateRegex.test(startDate)) {
+    throw new Error('Invalid start date');
+  }
+
+  let endDate = pillData.endDate || null;
+  if (pillData.durationDays) {
+    if (!Number.isInteger(pillData.durationDays) || pillData.durationDays < 1) {
+      throw new Error('Invalid course duration');
+    }
+    endDate = getCourseEndDate(startDate || toDateKey(new Date()), pillData.durationDays);
+  }
+  if (endDate && (!dateRegex.test(endDate) || (startDate && endDate < startDate))) {
+    throw new Error('Invalid end date');
+  }
+
+  const totalDoses = pillData.totalDoses || null;
+  if (totalDoses !== null && (!Number.isInteger(totalDoses) || totalDoses < 1)) {
+    throw new Error('Invalid dose count');
+  }
+
+  // Recurrence defaults to every day, anchored on the first day of the course
+  const recurrence = pillData.recurrence || { type: RECURRENCE_TYPES.DAILY };
+  validateRecurrence(recurrence);
+
+  const current = existing && getRecurrence(existing);
+  const next = getRecurrence({ recurrence: { ...recurrence, anchor: startDate || toDateKey(new Date()) } });
+  const keepsRecurrence = !!current && current.type === next.type &&
+    current.interval === next.interval &&
+    JSON.stringify([...current.days].sort()) === JSON.stringify([...next.days].sort());
+
+  // `time` keeps the first dose for older clients
+  return {
+    time: times[0],
+    times,
+    recurrence: {
+      ...recurrence,
+      anchor: recurrence.anchor || (keepsRecurrence ? current.anchor : next.anchor)
+    },
+    start_date: startDate,
+    end_date: endDate,
+    total_doses: totalDoses,
+  };
+};
+
+// Whether two pills follow the same dose schedule
+const isSameSchedule = (a, b) =>
+  JSON.stringify(getPillTimes(a)) === JSON.stringify(getPillTimes(b)) &&
+  JSON.stringify(getRecurrence(a)) === JSON.stringify(getRecurrence(b)) &&
+  (a.start_date || null) === (b.start_date || null) &&
+  (a.end_date || null) === (b.end_date || null) &&
+  (a.total_doses || null) === (b.total_doses || null);
+
+// A pill picked from the drug catalogue keeps the entry's normalized id
+const validateDrugId = (drugId) => {
+  if (drugId && !getDrug(drugId)) {
+    throw new Error('Unknown drug');
+  }
+  return drugId || null;
+};
+
+// Add a new pill
+export const addPill = async (pillData) => {
+  try {
+    const owner = await getPillOwner({ manage: true });
 
     // Save pill to database
     const newPill = {
-      user_id: user.id,
+      id: createId(),
+      user_id: owner.id,
+      profile_id: getActiveProfile()?.id || null,
       name: pillData.name.trim(),
-      time: pillData.time,
-      taken: false,
+      drug_id: validateDrugId(pillData.drugId),
+      ...buildScheduleFields(pillData),
+      status: PILL_STATUS.ACTIVE,
+      ...buildDosageFields(pillData),
+      ...buildStockFields(pillData),
+      // Interaction warnings the user saw and accepted (see ./interactions)
+      interaction_acknowledgement: pillData.interactionAcknowledgement || null,
       created_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
-      .from('pills')
-      .insert([newPill])
-      .select()
-      .single();
-
-    if (error) {
-      throw error;
+    // Saved on the device first; reaches the database now or once back online
+    const data = await mutate(owner.id, {
+      table: LOCAL_TABLES.PILLS,
+      type: 'insert',
+      row: newPill
+    });
+
+    console.log(`✅ Pill saved: ${data.name} at ${getPillTimes(data).join(', ')}`);
+
+    // Try to schedule notification
+    const notificationScheduled = !!(await syncReminders());
+    
+    if (!notificationScheduled) {
+      console.warn('⚠️ Notification scheduling failed, but pill was saved');
+    }
+
+    return data;
+    
+  } catch (error) {
+    console.error('Add pill failed:', error.message);
+    throw error;
+  }
+};
+
+// Change a pill's name, drug, dosage or schedule, keeping its logs. A replaced
+// schedule goes to `schedule_history`, so earlier doses are still judged by it.
+// Stock is changed through refillPill.
+export const updatePill = async (pillId, pillData) => {
+  try {
+    const owner = await getPillOwner({ manage: true, pillId });
+
+    const pill = await getLocalRow(owner.id, LOCAL_TABLES.PILLS, pillId);
+    if (!pill) {
+      throw new Error('Pill not found');
+    }
+
+    if (!pillData.name || !pillData.name.trim()) {
+      throw new Error('Pill name is required');
+    }
+
+    const now = new Date().toISOString();
+    const schedule = buildScheduleFields(pillData, pill);
+    const changes = {
+      name: pillData.name.trim(),
+      drug_id: validateDrugId(pillData.drugId),
+      ...schedule,
+      ...buildDosageFields(pillData),
+      updated_at: now
+    };
+
+    if (!isSameSchedule(pill, { ...pill, ...schedule })) {
+      const previous = Object.fromEntries(SCHEDULE_FIELDS.map(field => [field, pill[field] ?? null]));
+      changes.schedule_history = [...(pill.schedule_history || []), { ...previous, valid_until: now }];
+    }
+
+    if (pillData.interactionAcknowledgement) {
+      changes.interaction_acknowledgement = pillData.interactionAcknowledgement;
+    }
+
+    const data = await mutate(owner.id, {
+      table: LOCAL_TABLES.PILLS,
+      type: 'update',
+      id: pillId,
+      changes
+    });
+
+    console.log(`✏️ Pill updated: ${data.name} at ${getPillTimes(data).join(', ')}`);
+
+    // Reminders follow the new schedule
+    await syncReminders();
+
+    return data;
+  } catch (error) {
+    console.error('Update pill failed:', error.message);
+    throw error;
+  }
+};
+
+// Instant a dose slot (HH:MM) is due: the reminder's own `scheduledAt` when known,
+// else the slot's time on `slotDate` (a YYYY-MM-DD key, today by default)
+const getSlotInstant = (scheduledTime, { slotDate = null, scheduledAt = null } = {}) => {
+  if (scheduledAt) {
+    return new Date(scheduledAt);
+  }
+  return zonedTimeToDate(slotDate || toDateKey(new Date()), scheduledTime);
+};
+
+// Calculate timing status of a dose due at `scheduledAt`
+const getTimingStatus = (scheduledAt, takenTime) => {
+  const taken = new Date(takenTime);
+  const scheduled = new Date(scheduledAt);
+  
+  const diffMinutes = Math.round((taken - scheduled) / (1000 * 60));
+  
+  let status = LOG_STATUS.ON_TIME;
+  if (diffMinutes > 10) status = LOG_STATUS.LATE;
+  else if (diffMinutes < -10) status = LOG_STATUS.EARLY;
+  
+  return { status, minutes: diffMinutes, scheduledAt: scheduled };
+};
+
+// Mark a pill's course as completed, keeping its logs
+export const completePill = async (pillId) => {
+  try {
+    const owner = await getPillOwner({ manage: true, pillId });
+
+    // No more reminders for a finished course
+    await cancelPillNotifications(pillId);
+
+    const data = await mutate(owner.id, {
+      table: LOCAL_TABLES.PILLS,
+      type: 'update',
+      id: pillId,
+      changes: {
+        status: PILL_STATUS.COMPLETED,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }
+    });
+
+    console.log(`🏁 Course completed: ${data.name}`);
+    return data;
+  } catch (error) {
+    console.error('Complete pill failed:', error.message);
+    throw error;
+  }
+};
+
+// Complete the pill if it has a dose limit and enough doses were logged
+const completeIfDoseLimitReached = async (pillId, userId) => {
+  const pill = await getLocalRow(userId, LOCAL_TABLES.PILLS, pillId);
+
+  if (!pill?.total_doses || pill.status !== PILL_STATUS.ACTIVE) {
+    return;
+  }
+
+  let takenCount = (await getLocalRows(userId, LOCAL_TABLES.PILL_LOGS))
+    .filter(log => log.pill_id === pillId && TAKEN_LOG_STATUSES.includes(log.status))
+    .length;
+
+  // Only recent logs are kept on the device; a course that began before them is
+  // counted on the server when it can be reached, and completes on a later dose if not
+  const courseStart = new Date(pill.start_date || pill.created_at);
+  const cacheStart = new Date(Date.now() - LOG_CACHE_DAYS * 24 * 60 * 60 * 1000);
+  if (takenCount < pill.total_doses && courseStart < cacheStart) {
+    const { count, error } = await supabase
+      .from('pill_logs')
+      .select('id', { count: 'exact', head: true })
+      .eq('pill_id', pillId)
+      .eq('user_id', userId)
+      .in('status', TAKEN_LOG_STATUSES);
+
+    if (error) {
+      console.warn('Counting course doses on the server failed:', error.message);
+    } else {
+      takenCount = Math.max(takenCount, count || 0);
+    }
+  }
+
+  if (takenCount >= pill.total_doses) {
+    await completePill(pillId);
+  }
+};
+
+// Complete every active pill of the account whose end date has passed in its
+// profile's time zone
+const completeFinishedCourses = async (ownerId) => {
+  const pills = await getUserPills({ userId: ownerId, allProfiles: true });
+  const groups = await groupPillsByProfile(ownerId, pills);
+  const ended = groups.flatMap(({ pills: groupPills, timeZone }) =>
+    withTimeZone(timeZone, () => groupPills.filter(pill => hasCourseEnded(pill))));
+
+  for (const pill of ended) {
+    await completePill(pill.id);
+  }
+};
+
+// Check whether a pill's tracked stock is at or below its refill threshold
+export const isLowStock = (pill) => {
+  if (pill.stock_count === null || pill.stock_count === undefined) {
+    return false;
+  }
+  return Number(pill.stock_count) <= Number(pill.refill_threshold || 0);
+};
+
+// Change the stock of a pill by a number of doses (negative when taken);
+// pills without tracked stock are left alone. `logId` ties the change to the dose log
+// it belongs to, so it is dropped if that log loses a sync conflict.
+const adjustStock = async (pillId, userId, doses, logId = null) => {
+  const pill = await getLocalRow(userId, LOCAL_TABLES.PILLS, pillId);
+  if (!pill) {
+    throw new Error('Pill not found');
+  }
+
+  if (pill.stock_count === null || pill.stock_count === undefined) {
+    return { previous: pill, current: pill };
+  }
+
+  // Sent as an increment so doses taken on two devices both count
+  const updated = await mutate(userId, {
+    table: LOCAL_TABLES.PILLS,
+    type: 'increment',
+    id: pillId,
+    field: 'stock_count',
+    amount: doses * Number(pill.dose_quantity || 1),
+    dependsOn: logId
+  });
+
+  return { previous: pill, current: updated };
+};
+
+// Notify once when the stock crosses the refill threshold
+const notifyLowStock = async (previous, current) => {
+  if (!isLowStock(current) || isLowStock(previous)) {
+    return;
+  }
+
+  await Notifications.scheduleNotificationAsync({
+    content: {
+      title: '📦 İlacınız Azalıyor',
+      body: `${current.name} için ${Number(current.stock_count).toLocaleString('tr-TR')} adet kaldı. Yeni kutu almayı unutmayın.`,
+      sound: 'default',
+      android: {
+        channelId: REMINDER_CHANNEL_ID,
+      },
+      data: { pillId: current.id, pillName: current.name, type: 'low_stock' }
+    },
+    trigger: null, // Immediate
+  });
+};
+
+// Add a new pack (or any quantity) to a pill's stock, optionally updating refill settings
+export const refillPill = async (pillId, quantity, { refillThreshold, packSize } = {}) => {
+  try {
+    const owner = await getPillOwner({ manage: true, pillId });
+
+    const pill = await getLocalRow(owner.id, LOCAL_TABLES.PILLS, pillId);
+    if (!pill) {
+      throw new Error('Pill not found');
+    }
+
+    const amount = quantity ?? pill.pack_size;
+    if (!Number.isFinite(Number(amount)) || Number(amount) <= 0) {
+      throw new Error('Invalid refill quantity');
+    }
+
+    // Untracked stock starts counting from this refill
+    const updateData = {
+      updated_at: new Date().toISOString()
+    };
+    if (pill.stock_count === null || pill.stock_count === undefined) {
+      updateData.stock_count = Number(amount);
+    }
+
+    if (refillThreshold !== undefined) {
+      if (!Number.isFinite(Number(refillThreshold)) || Number(refillThreshold) < 0) {
+        throw new Error('Invalid refill threshold');
+      }
+      updateData.refill_threshold = Number(refillThreshold);
     }
 
-    console.log(`✅ Pill saved: ${data.name} at ${data.time}`);
+    if (packSize !== undefined) {
+      if (!Number.isFinite(Number(packSize)) || Number(packSize) <= 0) {
+        throw new Error('Invalid pack size');
+      }
+      updateData.pack_size = Number(packSize);
+    }
 
-    // Try to schedule notification
-    const notificationScheduled = await scheduleReliableNotification(data);
-    
-    if (!notificationScheduled) {
-      console.warn('⚠️ Notification scheduling failed, but pill was saved');
+    const mutations = [{ table: LOCAL_TABLES.PILLS, type: 'update', id: pillId, changes: updateData }];
+    if (updateData.stock_count === undefined) {
+      mutations.push({ table: LOCAL_TABLES.PILLS, type: 'increment', id: pillId, field: 'stock_count', amount: Number(amount) });
     }
 
+    const rows = await mutateAll(owner.id, mutations);
+    const data = rows[rows.length - 1];
+
+    console.log(`📦 Pill refilled: ${data.name}, stock ${data.stock_count}`);
     return data;
-    
   } catch (error) {
-    console.error('Add pill failed:', error.message);
+    console.error('Refill pill failed:', error.message);
     throw error;
   }
 };
 
-// Calculate timing status
-const getTimingStatus = (scheduledTime, takenTime) => {
-  const [schedHour, schedMin] = scheduledTime.split(':').map(Number);
-  
-  const scheduled = new Date();
-  scheduled.setHours(schedHour, schedMin, 0, 0);
-  
-  const taken = new Date(takenTime);
-  const diffMinutes = Math.round((taken - scheduled) / (1000 * 60));
-  
-  let status = 'on_time';
-  if (diffMinutes > 10) status = 'late';
-  else if (diffMinutes < -10) status = 'early';
-  
-  return { status, minutes: diffMinutes };
+// How far back a dose can be logged after the fact, or a logged dose corrected
+export const LOG_CORRECTION_WINDOW_HOURS = 48;
+
+// Whether a moment is recent enough for its dose to be logged or corrected
+export const isWithinCorrectionWindow = (date) =>
+  new Date(date).getTime() >= Date.now() - LOG_CORRECTION_WINDOW_HOURS * 60 * 60 * 1000;
+
+// Clock drift tolerated before an intake time counts as in the future
+const FUTURE_TAKEN_TOLERANCE_MS = 60 * 1000;
+
+// A user-chosen intake time: not in the future and within the correction window
+const validateTakenAt = (takenAt) => {
+  const taken = new Date(takenAt);
+  if (Number.isNaN(taken.getTime())) {
+    throw new Error('Invalid taken time');
+  }
+
+  if (taken.getTime() > Date.now() + FUTURE_TAKEN_TOLERANCE_MS) {
+    throw new Error('Taken time is in the future');
+  }
+
+  if (!isWithinCorrectionWindow(taken)) {
+    throw new Error('Outside the correction window');
+  }
+
+  return taken;
 };
 
-// Log when pill is taken
-export const logPillTaken = async (pillId, scheduledTime) => {
+// Log when pill is taken; `scheduledTime` is the dose slot (HH:MM) the log belongs to,
+// on `slotDate` (today by default) or at the reminder's `scheduledAt`.
+// `takenAt` records a dose taken earlier than it is logged, within the correction window.
+export const logPillTaken = async (pillId, scheduledTime, { takenAt = null, slotDate = null, scheduledAt = null } = {}) => {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      throw new Error('User not authenticated');
+    const owner = await getPillOwner({ manage: true, pillId });
+
+    if (!scheduledTime || !TIME_REGEX.test(scheduledTime)) {
+      throw new Error('Invalid dose slot');
     }
 
-    const takenAt = new Date().toISOString();
-    const timing = getTimingStatus(scheduledTime, takenAt);
+    const takenDate = takenAt ? validateTakenAt(takenAt) : new Date();
+    const timing = getTimingStatus(getSlotInstant(scheduledTime, { slotDate, scheduledAt }), takenDate);
 
-    // Save log to database
-    const { data: logData, error } = await supabase
-      .from('pill_logs')
-      .insert([{
-        pill_id: pillId,
-        user_id: user.id,
-        taken_at: takenAt,
-        scheduled_time: scheduledTime,
-        status: timing.status,
-        minutes_difference: timing.minutes
-      }])
-      .select()
-      .single();
+    // A dose logged after the fact has to belong to one the schedule expected
+    if (takenAt) {
+      const pill = await getLocalRow(owner.id, LOCAL_TABLES.PILLS, pillId);
+      if (!pill) {
+        throw new Error('Pill not found');
+      }
 
-    if (error) {
-      throw error;
+      const slotKey = toDateKey(timing.scheduledAt);
+      const isExpected = getExpectedSlots([pill], slotKey, slotKey)
+        .some(slot => slot.scheduledAt.getTime() === timing.scheduledAt.getTime());
+      if (!isExpected) {
+        throw new Error('No dose scheduled at that time');
+      }
+    }
+
+    const logEntry = {
+      pill_id: pillId,
+      user_id: owner.id,
+      taken_at: takenDate.toISOString(),
+      scheduled_time: scheduledTime,
+      scheduled_at: timing.scheduledAt.toISOString(),
+      status: timing.status,
+      minutes_difference: timing.minutes,
+      recorded_at: takenAt ? new Date().toISOString() : null
+    };
+
+    // A dose taken after it was recorded as missed or skipped replaces that record
+    const missedLog = (await getLocalRows(owner.id, LOCAL_TABLES.PILL_LOGS)).find(log =>
+      log.pill_id === pillId &&
+      log.scheduled_at && new Date(log.scheduled_at).getTime() === timing.scheduledAt.getTime()
+    );
+
+    if (missedLog && TAKEN_LOG_STATUSES.includes(missedLog.status)) {
+      throw new Error('Dose already taken');
     }
 
+    // Save log on the device; it reaches the database now or once back online
+    const logData = missedLog
+      ? await mutate(owner.id, {
+        table: LOCAL_TABLES.PILL_LOGS,
+        type: 'update',
+        id: missedLog.id,
+        changes: { ...logEntry, skip_reason: null }
+      })
+      : await mutate(owner.id, {
+        table: LOCAL_TABLES.PILL_LOGS,
+        type: 'insert',
+        row: { id: createId(), ...logEntry }
+      });
+
+    // The dose is confirmed, stop reminding about it
+    await cancelSnoozedReminder(pillId, scheduledTime);
+    await cancelOccurrenceNotifications(pillId, scheduledTime, logEntry.scheduled_at);
+
+    // Take the dose out of the stock and warn when it runs low
+    const { previous, current } = await adjustStock(pillId, owner.id, -1, missedLog ? null : logData.id);
+    await notifyLowStock(previous, current);
+
+    // Finish dose-limited courses once the last dose is logged
+    await completeIfDoseLimitReached(pillId, owner.id);
+
     // Show confirmation notification
     const statusText = timing.status === 'on_time' ? 'zamanında' : 
                      timing.status === 'late' ? `${timing.minutes} dk geç` : 
@@ -299,7 +1041,7 @@ export const logPillTaken = async (pillId, scheduledTime) => {
         body: `${statusText} alındı`,
         sound: 'default',
         android: {
-          channelId: 'pill-reminders',
+          channelId: REMINDER_CHANNEL_ID,
         },
         data: { type: 'confirmation' }
       },
@@ -314,42 +1056,158 @@ export const logPillTaken = async (pillId, scheduledTime) => {
   }
 };
 
-// Update pill status
-export const updatePillStatus = async (pillId, taken, scheduledTime) => {
+// Reasons offered when a dose is skipped on purpose
+export const SKIP_REASONS = {
+  doctor: 'Doktor önerisi',
+  fasting: 'Oruç',
+  side_effects: 'Yan etki',
+  other: 'Diğer',
+};
+
+// Record a dose slot as intentionally skipped, with an optional reason. The slot is
+// today's unless `slotDate` or the reminder's `scheduledAt` says otherwise.
+// The slot's pending reminder and follow-ups are cancelled.
+export const skipDose = async (pillId, scheduledTime, reason = null, { slotDate = null, scheduledAt: slotAt = null } = {}) => {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      throw new Error('User not authenticated');
+    const owner = await getPillOwner({ manage: true, pillId });
+
+    if (!scheduledTime || !TIME_REGEX.test(scheduledTime)) {
+      throw new Error('Invalid dose slot');
     }
 
-    const updateData = {
-      taken: taken,
-      updated_at: new Date().toISOString()
+    if (reason !== null && !SKIP_REASONS[reason]) {
+      throw new Error('Invalid skip reason');
+    }
+
+    const pill = await getLocalRow(owner.id, LOCAL_TABLES.PILLS, pillId);
+    if (!pill) {
+      throw new Error('Pill not found');
+    }
+
+    const scheduledAt = getSlotInstant(scheduledTime, { slotDate, scheduledAt: slotAt });
+
+    const logEntry = {
+      pill_id: pillId,
+      user_id: owner.id,
+      taken_at: new Date().toISOString(),
+      scheduled_time: scheduledTime,
+      scheduled_at: scheduledAt.toISOString(),
+      status: LOG_STATUS.SKIPPED,
+      minutes_difference: null,
+      skip_reason: reason
     };
 
+    // A taken dose has to be reset before it can be skipped
+    const existingLog = (await getLocalRows(owner.id, LOCAL_TABLES.PILL_LOGS)).find(log =>
+      log.pill_id === pillId &&
+      log.scheduled_at && new Date(log.scheduled_at).getTime() === scheduledAt.getTime()
+    );
+
+    if (existingLog && TAKEN_LOG_STATUSES.includes(existingLog.status)) {
+      throw new Error('Dose already taken');
+    }
+
+    const logData = existingLog
+      ? await mutate(owner.id, {
+        table: LOCAL_TABLES.PILL_LOGS,
+        type: 'update',
+        id: existingLog.id,
+        changes: logEntry
+      })
+      : await mutate(owner.id, {
+        table: LOCAL_TABLES.PILL_LOGS,
+        type: 'insert',
+        row: { id: createId(), ...logEntry }
+      });
+
+    // No reminder for the skipped slot; the following ones stay scheduled
+    await cancelSnoozedReminder(pillId, scheduledTime);
+    await cancelOccurrenceNotifications(pillId, scheduledTime, logEntry.scheduled_at);
+
+    console.log(`⏭️ Dose skipped: ${pill.name} (${scheduledTime})`);
+    return logData;
+  } catch (error) {
+    console.error('Skip dose failed:', error.message);
+    throw error;
+  }
+};
+
+// Get the current user's logs for today's dose slots (profile time zone).
+// A day on both sides is fetched since doses can be taken across midnight.
+const getTodayLogs = async (userId) => {
+  const { start, end } = getDayRange(new Date());
+  const todayKey = toDateKey(new Date());
+  const dayMs = 24 * 60 * 60 * 1000;
+  
+  const logs = (await loadLocalRows(userId, LOCAL_TABLES.PILL_LOGS)).filter(log => {
+    const takenAt = new Date(log.taken_at).getTime();
+    return takenAt >= start.getTime() - dayMs && takenAt < end.getTime() + dayMs;
+  });
+
+  return logs.filter(log => getLogDateKey(log) === todayKey);
+};
+
+// Day of the slot a dose marked now belongs to: yesterday's, while that slot is still
+// open and within the grace window (a 23:00 dose taken at 00:20), else today's
+const getOpenSlotDate = async (userId, pillId, scheduledTime, now = new Date()) => {
+  const todayKey = toDateKey(now);
+  const yesterdayKey = addDaysToKey(todayKey, -1);
+  const pill = await getLocalRow(userId, LOCAL_TABLES.PILLS, pillId);
+  const slot = pill && getExpectedSlots([pill], yesterdayKey, yesterdayKey)
+    .find(expected => expected.time === normalizeTime(scheduledTime));
+
+  const graceMs = (await getMissedGraceMinutes()) * 60 * 1000;
+  if (!slot || slot.scheduledAt.getTime() + graceMs < now.getTime()) {
+    return todayKey;
+  }
+
+  const logs = await getLocalRows(userId, LOCAL_TABLES.PILL_LOGS);
+  return logs.some(log => log.pill_id === pillId && getLogSlotKey(log) === slot.key) ? todayKey : yesterdayKey;
+};
+
+// Mark one of today's dose slots as taken or not taken; a dose taken just after
+// midnight goes to yesterday's slot while that one is still open.
+// "Taken" is derived from today's pill_logs, so there is no flag to reset at midnight.
+export const updatePillStatus = async (pillId, taken, scheduledTime) => {
+  try {
+    const owner = await getPillOwner({ manage: true, pillId });
+
+    if (!scheduledTime) {
+      throw new Error('Dose slot is required');
+    }
+
     if (taken) {
-      updateData.taken_at = new Date().toISOString();
-      
-      if (scheduledTime) {
-        await logPillTaken(pillId, scheduledTime);
-      }
-    } else {
-      updateData.taken_at = null;
+      const slotDate = await getOpenSlotDate(owner.id, pillId, scheduledTime);
+      const { logData } = await logPillTaken(pillId, scheduledTime, { slotDate });
+      return { taken: true, log: logData };
     }
 
-    const { data, error } = await supabase
-      .from('pills')
-      .update(updateData)
-      .eq('id', pillId)
-      .eq('user_id', user.id)
-      .select()
-      .single();
+    // Remove today's log for the slot so it shows as pending again
+    const slotKey = getSlotKey(pillId, toDateKey(new Date()), scheduledTime);
+    const slotLogs = (await getTodayLogs(owner.id))
+      .filter(log => getLogSlotKey(log) === slotKey)
+      .filter(log => TAKEN_LOG_STATUSES.includes(log.status) || log.status === LOG_STATUS.SKIPPED);
 
-    if (error) {
-      throw error;
+    for (const log of slotLogs) {
+      await mutate(owner.id, {
+        table: LOCAL_TABLES.PILL_LOGS,
+        type: 'delete',
+        match: { id: log.id }
+      });
+
+      // A skipped dose has no stock to give back
+      if (log.status !== LOG_STATUS.SKIPPED) {
+        // The dose was not actually taken, put it back in stock
+        await adjustStock(pillId, owner.id, 1, log.id);
+      }
     }
 
-    return data;
+    // Bring back the reminders that taking or skipping the dose cancelled
+    if (slotLogs.length > 0) {
+      await syncReminders();
+    }
+
+    return { taken: false, log: null };
     
   } catch (error) {
     console.error('Update pill status failed:', error.message);
@@ -357,20 +1215,192 @@ export const updatePillStatus = async (pillId, taken, scheduledTime) => {
   }
 };
 
-// Get pill logs
-export const getPillLogs = async (pillId) => {
+// Logs per page of a pill's history
+export const PILL_LOGS_PAGE_SIZE = 30;
+
+// Newest first; the id orders logs recorded at the same moment
+const compareLogsNewestFirst = (a, b) =>
+  new Date(b.taken_at) - new Date(a.taken_at) || b.id.localeCompare(a.id);
+
+// Opaque position after a log in a history page
+const toLogCursor = (log) => `${new Date(log.taken_at).toISOString()}|${log.id}`;
+
+const fromLogCursor = (cursor) => {
+  const separator = cursor.lastIndexOf('|');
+  if (separator === -1) {
+    throw new Error('Invalid cursor');
+  }
+  return { takenAt: cursor.slice(0, separator), id: cursor.slice(separator + 1) };
+};
+
+// One page of a pill's logs, newest first, from the server
+const fetchPillLogsPage = async (userId, pillId, { start, end, statuses, after, limit }) => {
+  let query = supabase
+    .from('pill_logs')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('pill_id', pillId)
+    .order('taken_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (start) query = query.gte('taken_at', start.toISOString());
+  if (end) query = query.lt('taken_at', end.toISOString());
+  if (statuses) query = query.in('status', statuses);
+  if (after) {
+    query = query.or(`taken_at.lt."${after.takenAt}",and(taken_at.eq."${after.takenAt}",id.lt.${after.id})`);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw error;
+  }
+  return data || [];
+};
+
+// A page of a pill's history, newest first, as `{ logs, nextCursor }`. `from` and `to`
+// are calendar days (inclusive), `statuses` limits the log statuses, and `cursor` is
+// the `nextCursor` of the previous page (null once there are no more logs).
+// Offline, or while local changes are waiting to be sent, the device's logs are used.
+export const getPillLogs = async (pillId, { from = null, to = null, statuses = null, cursor = null, limit = PILL_LOGS_PAGE_SIZE } = {}) => {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      throw new Error('User not authenticated');
+    const owner = await getPillOwner({ pillId });
+
+    const start = from ? zonedTimeToDate(from, '00:00') : null;
+    const end = to ? zonedTimeToDate(addDaysToKey(to, 1), '00:00') : null;
+    const after = cursor ? fromLogCursor(cursor) : null;
+    const options = { start, end, statuses, after, limit: limit + 1 };
+
+    let logs = null;
+    try {
+      if (await syncPendingMutations(owner.id) === 0) {
+        logs = await fetchPillLogsPage(owner.id, pillId, options);
+      }
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+    }
+
+    if (!logs) {
+      const afterLog = after && { taken_at: after.takenAt, id: after.id };
+      logs = (await getLocalRows(owner.id, LOCAL_TABLES.PILL_LOGS))
+        .filter(log => log.pill_id === pillId)
+        .filter(log => (!start || new Date(log.taken_at) >= start) && (!end || new Date(log.taken_at) < end))
+        .filter(log => !statuses || statuses.includes(log.status))
+        .filter(log => !afterLog || compareLogsNewestFirst(afterLog, log) < 0)
+        .sort(compareLogsNewestFirst)
+        .slice(0, limit + 1);
+    }
+
+    // The extra log only tells whether another page follows
+    const page = logs.slice(0, limit);
+    return {
+      logs: page,
+      nextCursor: logs.length > limit ? toLogCursor(page[page.length - 1]) : null
+    };
+  } catch (error) {
+    console.error('Get pill logs failed:', error.message);
+    throw error;
+  }
+};
+
+// A logged dose of a pill, for correcting it; only recent ones can be changed
+const getCorrectableLog = async (userId, pillId, logId) => {
+  const log = await getLocalRow(userId, LOCAL_TABLES.PILL_LOGS, logId);
+  if (!log || log.pill_id !== pillId) {
+    throw new Error('Log not found');
+  }
+
+  if (!isWithinCorrectionWindow(log.scheduled_at || log.taken_at)) {
+    throw new Error('Outside the correction window');
+  }
+
+  return log;
+};
+
+// Correct when a taken dose was actually taken. The dose keeps its slot (older logs
+// without scheduled_at take it on `slotDate`); its status and minutes late or early
+// are worked out again. Every change is kept on the server in pill_log_edits.
+export const updatePillLog = async (pillId, logId, { takenAt, slotDate = null }) => {
+  try {
+    const owner = await getPillOwner({ manage: true, pillId });
+    const log = await getCorrectableLog(owner.id, pillId, logId);
+
+    if (!TAKEN_LOG_STATUSES.includes(log.status)) {
+      throw new Error('Only taken doses can be edited');
+    }
+
+    const takenDate = validateTakenAt(takenAt);
+    const timing = getTimingStatus(getSlotInstant(log.scheduled_time, {
+      scheduledAt: log.scheduled_at,
+      slotDate: slotDate || toDateKey(new Date(log.taken_at))
+    }), takenDate);
+
+    const logData = await mutate(owner.id, {
+      table: LOCAL_TABLES.PILL_LOGS,
+      type: 'update',
+      id: logId,
+      changes: {
+        taken_at: takenDate.toISOString(),
+        scheduled_at: timing.scheduledAt.toISOString(),
+        status: timing.status,
+        minutes_difference: timing.minutes,
+        recorded_at: new Date().toISOString()
+      }
+    });
+
+    console.log(`✏️ Dose log corrected: ${log.scheduled_time} now ${timing.status} (${timing.minutes} min)`);
+    return { logData, timing };
+  } catch (error) {
+    console.error('Update pill log failed:', error.message);
+    throw error;
+  }
+};
+
+// Delete a logged or skipped dose; a taken one goes back into the stock.
+// Missed doses are recorded again by the missed-dose check, so they cannot be deleted.
+export const deletePillLog = async (pillId, logId) => {
+  try {
+    const owner = await getPillOwner({ manage: true, pillId });
+    const log = await getCorrectableLog(owner.id, pillId, logId);
+
+    if (log.status === LOG_STATUS.MISSED) {
+      throw new Error('Missed doses cannot be deleted');
+    }
+
+    await mutate(owner.id, {
+      table: LOCAL_TABLES.PILL_LOGS,
+      type: 'delete',
+      match: { id: logId }
+    });
+
+    if (log.status !== LOG_STATUS.SKIPPED) {
+      await adjustStock(pillId, owner.id, 1, logId);
     }
 
+    // A dose still to come today gets its reminders back
+    await syncReminders();
+
+    console.log(`🗑️ Dose log deleted: ${log.scheduled_time} (${log.status})`);
+  } catch (error) {
+    console.error('Delete pill log failed:', error.message);
+    throw error;
+  }
+};
+
+// Changes made to one of a pill's logs, newest first, as
+// `[{ action, old_values, new_values, edited_by, edited_at }]`. Needs a connection.
+export const getPillLogEdits = async (pillId, logId) => {
+  try {
+    const owner = await getPillOwner({ pillId });
+
     const { data, error } = await supabase
-      .from('pill_logs')
+      .from('pill_log_edits')
       .select('*')
-      .eq('pill_id', pillId)
-      .eq('user_id', user.id)
-      .order('taken_at', { ascending: false });
+      .eq('user_id', owner.id)
+      .eq('log_id', logId)
+      .order('edited_at', { ascending: false });
 
     if (error) {
       throw error;
@@ -378,41 +1408,85 @@ export const getPillLogs = async (pillId) => {
 
     return data || [];
   } catch (error) {
-    console.error('Get pill logs failed:', error.message);
+    console.error('Get pill log edits failed:', error.message);
     throw error;
   }
 };
 
-// Delete pill
-export const deletePill = async (pillId) => {
+// Move a pill to the trash. It leaves the lists and reminders; its logs are kept
+// so restorePill can bring it back with its history.
+export const archivePill = async (pillId) => {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      throw new Error('User not authenticated');
-    }
+    const owner = await getPillOwner({ manage: true, pillId });
 
-    // Cancel notifications
-    await Notifications.cancelScheduledNotificationAsync(`pill_${pillId}`);
-    await Notifications.cancelScheduledNotificationAsync(`pill_${pillId}_backup`);
+    await cancelPillNotifications(pillId);
 
-    // Delete logs
-    await supabase
-      .from('pill_logs')
-      .delete()
-      .eq('pill_id', pillId)
-      .eq('user_id', user.id);
+    const data = await mutate(owner.id, {
+      table: LOCAL_TABLES.PILLS,
+      type: 'update',
+      id: pillId,
+      changes: {
+        status: PILL_STATUS.ARCHIVED,
+        archived_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }
+    });
+
+    console.log(`🗑️ Pill archived: ${data.name}`);
+    return data;
+  } catch (error) {
+    console.error('Archive pill failed:', error.message);
+    throw error;
+  }
+};
 
-    // Delete pill
-    const { error } = await supabase
-      .from('pills')
-      .delete()
-      .eq('id', pillId)
-      .eq('user_id', user.id);
+// Take a pill out of the trash, back among the completed ones if its course had ended
+export const restorePill = async (pillId) => {
+  try {
+    const owner = await getPillOwner({ manage: true, pillId });
 
-    if (error) {
-      throw error;
+    const pill = await getLocalRow(owner.id, LOCAL_TABLES.PILLS, pillId);
+    if (!pill) {
+      throw new Error('Pill not found');
     }
 
+    const data = await mutate(owner.id, {
+      table: LOCAL_TABLES.PILLS,
+      type: 'update',
+      id: pillId,
+      changes: {
+        status: pill.completed_at ? PILL_STATUS.COMPLETED : PILL_STATUS.ACTIVE,
+        archived_at: null,
+        updated_at: new Date().toISOString()
+      }
+    });
+
+    console.log(`♻️ Pill restored: ${data.name}`);
+
+    // Reminders resume for an active pill
+    await syncReminders();
+
+    return data;
+  } catch (error) {
+    console.error('Restore pill failed:', error.message);
+    throw error;
+  }
+};
+
+// Permanently delete a pill and its logs (archivePill keeps them)
+export const deletePill = async (pillId) => {
+  try {
+    const owner = await getPillOwner({ manage: true, pillId });
+
+    // Cancel notifications
+    await cancelPillNotifications(pillId);
+
+    // Delete logs, then the pill
+    await mutateAll(owner.id, [
+      { table: LOCAL_TABLES.PILL_LOGS, type: 'delete', match: { pill_id: pillId } },
+      { table: LOCAL_TABLES.PILLS, type: 'delete', match: { id: pillId } }
+    ]);
+
     return true;
   } catch (error) {
     console.error('Delete pill failed:', error.message);
@@ -420,43 +1494,160 @@ export const deletePill = async (pillId) => {
   }
 };
 
-// Reset daily pills
-export const resetDailyPills = async () => {
+// Grace window before an untaken dose counts as missed (user setting)
+export const getMissedGraceMinutes = async () => {
+  const user = await getSessionUser();
+  const minutes = Number(user?.user_metadata?.missed_grace_minutes);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_MISSED_GRACE_MINUTES;
+};
+
+// Change the grace window before an untaken dose counts as missed
+export const setMissedGraceMinutes = async (minutes) => {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      throw new Error('User not authenticated');
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      throw new Error('Invalid grace window');
     }
 
-    const { data, error } = await supabase
-      .from('pills')
-      .update({ 
-        taken: false,
-        taken_at: null,
-        updated_at: new Date().toISOString()
-      })
-      .eq('user_id', user.id)
-      .select();
+    const { error } = await supabase.auth.updateUser({
+      data: { missed_grace_minutes: minutes }
+    });
 
     if (error) {
       throw error;
     }
 
-    return data || [];
+    return minutes;
   } catch (error) {
-    console.error('Reset daily pills failed:', error.message);
+    console.error('Set missed grace window failed:', error.message);
     throw error;
   }
 };
 
-// Get today's schedule
+// Write a `missed` log for every recent dose slot that was not taken within the grace
+// window, for every profile of the account and not just the one on screen
+export const recordMissedDoses = async () => {
+  try {
+    // Read-only caregivers cannot write the patient's logs
+    const owner = await getPillOwner();
+    if (!owner.canManage) {
+      return [];
+    }
+
+    const graceMs = (await getMissedGraceMinutes()) * 60 * 1000;
+    const now = new Date();
+
+    // Pills in the trash are not taken
+    const pills = (await getUserPills({ userId: owner.id, status: null, allProfiles: true }))
+      .filter(pill => pill.status !== PILL_STATUS.ARCHIVED);
+    // The lookback plus a day of margin, which covers doses taken early
+    const since = new Date(now.getTime() - (MISSED_LOOKBACK_DAYS + 2) * 24 * 60 * 60 * 1000);
+    const logs = (await getLocalRows(owner.id, LOCAL_TABLES.PILL_LOGS))
+      .filter(log => new Date(log.taken_at) >= since);
+
+    // Each profile's days, and so its slot keys, follow its own time zone
+    const overdueSlots = (await groupPillsByProfile(owner.id, pills))
+      .flatMap(({ pills: groupPills, timeZone }) => withTimeZone(timeZone, () => {
+        const todayKey = toDateKey(now);
+        const pillIds = new Set(groupPills.map(pill => pill.id));
+        const loggedSlots = new Set(logs.filter(log => pillIds.has(log.pill_id)).map(getLogSlotKey));
+
+        return getExpectedSlots(groupPills, addDaysToKey(todayKey, -MISSED_LOOKBACK_DAYS), todayKey)
+          .filter(slot => !loggedSlots.has(slot.key));
+      }))
+      .filter(slot => slot.scheduledAt.getTime() + graceMs < now.getTime());
+
+    const missedEntries = overdueSlots
+      .map(slot => ({
+        id: createId(),
+        pill_id: slot.pill.id,
+        user_id: owner.id,
+        // The slot time doubles as the log timestamp so day-based queries find it
+        taken_at: slot.scheduledAt.toISOString(),
+        scheduled_time: slot.time,
+        scheduled_at: slot.scheduledAt.toISOString(),
+        status: LOG_STATUS.MISSED,
+        minutes_difference: null
+      }));
+
+    if (missedEntries.length === 0) {
+      return [];
+    }
+
+    // Another device may have recorded the same slots already; its record wins on sync
+    const data = await mutateAll(owner.id, missedEntries.map(row => ({
+      table: LOCAL_TABLES.PILL_LOGS,
+      type: 'insert',
+      row
+    })));
+
+    console.log(`⏰ Recorded ${missedEntries.length} missed doses`);
+    return data.filter(Boolean);
+  } catch (error) {
+    console.error('Record missed doses failed:', error.message);
+    return [];
+  }
+};
+
+let reconciling = null;
+
+// Write what the schedule implies but nobody recorded yet: courses whose end date
+// passed are completed and doses past their grace window are logged as missed.
+// Run on app start, on return to the foreground and at the day rollover.
+export const reconcileDoses = () => {
+  if (!reconciling) {
+    reconciling = (async () => {
+      try {
+        // Read-only caregivers cannot write the patient's data
+        const owner = await getPillOwner();
+        if (!owner.canManage) {
+          return;
+        }
+
+        await completeFinishedCourses(owner.id);
+        await recordMissedDoses();
+      } catch (error) {
+        console.error('Reconcile doses failed:', error.message);
+      }
+    })().finally(() => {
+      reconciling = null;
+    });
+  }
+
+  return reconciling;
+};
+
+// Get today's schedule, with the status of each dose slot. Read-only: ended courses
+// are left out until reconcileDoses completes them.
 export const getTodaySchedule = async () => {
   try {
-    const pills = await getUserPills();
+    const owner = await getPillOwner();
+
+    const now = new Date();
+    const todayKey = toDateKey(now);
+    const pills = (await getUserPills())
+      .filter(pill => !hasCourseEnded(pill) && isDoseDay(pill, now));
+
+    const todayLogs = await getTodayLogs(owner.id);
+
+    const schedule = pills.map(pill => {
+      const doses = getPillTimes(pill).map(time => {
+        const slotKey = getSlotKey(pill.id, todayKey, time);
+        const log = todayLogs.find(entry => getLogSlotKey(entry) === slotKey);
+        return {
+          time,
+          taken: !!log && TAKEN_LOG_STATUSES.includes(log.status),
+          missed: log?.status === LOG_STATUS.MISSED,
+          skipped: log?.status === LOG_STATUS.SKIPPED,
+          log: log || null
+        };
+      });
+
+      return { ...pill, doses };
+    });
     
-    return pills.sort((a, b) => {
-      const timeA = a.time || '00:00';
-      const timeB = b.time || '00:00';
+    return schedule.sort((a, b) => {
+      const timeA = a.doses[0]?.time || '00:00';
+      const timeB = b.doses[0]?.time || '00:00';
       return timeA.localeCompare(timeB);
     });
   } catch (error) {
@@ -468,30 +1659,28 @@ export const getTodaySchedule = async () => {
 // Get adherence stats
 export const getAdherenceStats = async () => {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      throw new Error('User not authenticated');
-    }
+    const owner = await getPillOwner();
 
-    const pills = await getUserPills();
-    const totalPills = pills.length;
+    const now = new Date();
+    // Courses that ended are no longer expected, even before they are completed
+    const pills = (await getUserPills()).filter(pill => !hasCourseEnded(pill) && isDoseDay(pill, now));
+    // Every dose slot of a pill due today counts as one expected intake
+    const totalPills = pills.reduce((sum, pill) => sum + getPillTimes(pill).length, 0);
 
-    const today = new Date().toISOString().split('T')[0];
-    
-    const { data: logs } = await supabase
-      .from('pill_logs')
-      .select('*')
-      .eq('user_id', user.id)
-      .gte('taken_at', `${today}T00:00:00.000Z`)
-      .lt('taken_at', `${today}T23:59:59.999Z`);
-
-    const todayLogs = logs || [];
-    const onTime = todayLogs.filter(log => log.status === 'on_time').length;
-    const late = todayLogs.filter(log => log.status === 'late').length;
-    const early = todayLogs.filter(log => log.status === 'early').length;
+    // Logs of the active profile's pills only
+    const pillIds = new Set((await getUserPills({ status: null })).map(pill => pill.id));
+    const todayLogs = (await getTodayLogs(owner.id)).filter(log => pillIds.has(log.pill_id));
+    const onTime = todayLogs.filter(log => log.status === LOG_STATUS.ON_TIME).length;
+    const late = todayLogs.filter(log => log.status === LOG_STATUS.LATE).length;
+    const early = todayLogs.filter(log => log.status === LOG_STATUS.EARLY).length;
     const taken = onTime + late + early;
-    const missed = totalPills - taken;
-    const adherenceRate = totalPills > 0 ? Math.round((taken / totalPills) * 100) : 0;
+    // Only doses recorded as missed count; the rest of the day is still pending
+    const missed = todayLogs.filter(log => log.status === LOG_STATUS.MISSED).length;
+    // Skipped doses were left out on purpose and do not lower adherence
+    const skipped = todayLogs.filter(log => log.status === LOG_STATUS.SKIPPED).length;
+    const pending = Math.max(0, totalPills - taken - missed - skipped);
+    const expected = totalPills - skipped;
+    const adherenceRate = expected > 0 ? Math.round((taken / expected) * 100) : 0;
 
     return {
       total: totalPills,
@@ -500,6 +1689,8 @@ export const getAdherenceStats = async () => {
       late: late,
       early: early,
       missed: missed,
+      skipped: skipped,
+      pending: pending,
       adherenceRate: adherenceRate
     };
   } catch (error) {
@@ -527,15 +1718,34 @@ export const debugNotifications = async () => {
 };
 
 export default {
-  initializeNotifications,
+  handleReminderAction,
+  syncUserTimeZone,
+  getPillOwner,
   getUserPills,
   addPill,
+  updatePill,
+  completePill,
+  refillPill,
+  isLowStock,
   updatePillStatus,
+  archivePill,
+  restorePill,
   deletePill,
-  resetDailyPills,
   getTodaySchedule,
   getAdherenceStats,
   logPillTaken,
+  skipDose,
   getPillLogs,
+  updatePillLog,
+  deletePillLog,
+  getPillLogEdits,
+  getPillTimes,
+  recordMissedDoses,
+  reconcileDoses,
+  getMissedGraceMinutes,
+  setMissedGraceMinutes,
+  getFollowUpSettings,
+  setFollowUpSettings,
+  syncReminders,
   debugNotifications,
 };
@@ -0,0 +1,159 @@
+import {
+  createId,
+  getLocalRows,
+  loadLocalRows,
+  LOCAL_TABLES,
+  mutate,
+  mutateAll
+} from './localStore';
+import { getPillOwner } from './sharing';
+
+/**
+ * Dependent profiles for PillTracker
+ * People whose pills the account holder manages (e.g. children), each with a name,
+ * an avatar and optionally their own time zone. Pills with no `profile_id` belong
+ * to the account holder; services work on the active profile's pills.
+ */
+
+// Avatars offered for a profile
+export const PROFILE_AVATARS = ['🧒', '👧', '👦', '👩', '👨', '👵', '👴', '🐻'];
+
+// Avatar of the account holder's own pills
+export const OWN_PROFILE_AVATAR = '🙂';
+
+// Profile whose pills the services work on; null for the account holder's own
+let activeProfile = null;
+
+export const getActiveProfile = () => activeProfile;
+
+// Work on a dependent profile's pills, or on the account holder's own with null
+export const setActiveProfile = (profile) => {
+  activeProfile = profile
+    ? { id: profile.id, name: profile.name, avatar: profile.avatar, timezone: profile.timezone || null }
+    : null;
+};
+
+// Whether a pill belongs to a profile (null for the account holder)
+export const isProfilePill = (pill, profileId) => (pill.profile_id || null) === (profileId || null);
+
+// Validate a profile's fields; the time zone is optional (defaults to the account's)
+const buildProfileFields = ({ name, avatar, timezone }) => {
+  if (!name || !name.trim()) {
+    throw new Error('Profile name is required');
+  }
+
+  if (avatar && !PROFILE_AVATARS.includes(avatar)) {
+    throw new Error('Invalid avatar');
+  }
+
+  const zone = timezone ? timezone.trim() : null;
+  if (zone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    } catch {
+      throw new Error('Invalid time zone');
+    }
+  }
+
+  return {
+    name: name.trim(),
+    avatar: avatar || PROFILE_AVATARS[0],
+    timezone: zone,
+  };
+};
+
+// Dependent profiles of the account being worked on, oldest first
+export const getProfiles = async () => {
+  try {
+    const owner = await getPillOwner();
+    const profiles = await loadLocalRows(owner.id, LOCAL_TABLES.PROFILES);
+    return profiles.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  } catch (error) {
+    console.error('Get profiles failed:', error.message);
+    throw error;
+  }
+};
+
+// Add a dependent profile
+export const addProfile = async (profileData) => {
+  try {
+    const owner = await getPillOwner({ manage: true });
+
+    const data = await mutate(owner.id, {
+      table: LOCAL_TABLES.PROFILES,
+      type: 'insert',
+      row: {
+        id: createId(),
+        user_id: owner.id,
+        ...buildProfileFields(profileData),
+        created_at: new Date().toISOString()
+      }
+    });
+
+    console.log(`👤 Profile added: ${data.name}`);
+    return data;
+  } catch (error) {
+    console.error('Add profile failed:', error.message);
+    throw error;
+  }
+};
+
+// Change a profile's name, avatar or time zone. Reminders follow on the next syncReminders.
+export const updateProfile = async (profileId, profileData) => {
+  try {
+    const owner = await getPillOwner({ manage: true });
+
+    const data = await mutate(owner.id, {
+      table: LOCAL_TABLES.PROFILES,
+      type: 'update',
+      id: profileId,
+      changes: {
+        ...buildProfileFields(profileData),
+        updated_at: new Date().toISOString()
+      }
+    });
+
+    if (activeProfile?.id === profileId) {
+      setActiveProfile(data);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Update profile failed:', error.message);
+    throw error;
+  }
+};
+
+// Delete a profile with its pills and their logs. Their reminders go away on the
+// next syncReminders.
+export const deleteProfile = async (profileId) => {
+  try {
+    const owner = await getPillOwner({ manage: true });
+    const pills = (await getLocalRows(owner.id, LOCAL_TABLES.PILLS))
+      .filter(pill => pill.profile_id === profileId);
+
+    await mutateAll(owner.id, [
+      ...pills.map(pill => ({ table: LOCAL_TABLES.PILL_LOGS, type: 'delete', match: { pill_id: pill.id } })),
+      { table: LOCAL_TABLES.PILLS, type: 'delete', match: { profile_id: profileId } },
+      { table: LOCAL_TABLES.PROFILES, type: 'delete', match: { id: profileId } }
+    ]);
+
+    if (activeProfile?.id === profileId) {
+      setActiveProfile(null);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Delete profile failed:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  getActiveProfile,
+  setActiveProfile,
+  getProfiles,
+  addProfile,
+  updateProfile,
+  deleteProfile,
+};
@@ -0,0 +1,70 @@
+import { supabase } from '../config/supabase';
+import { applyRemoteChange, LOCAL_TABLES } from './localStore';
+import { syncReminders } from './pills';
+
+/**
+ * Realtime sync for PillTracker
+ * Applies changes to `pills`, `pill_logs` and `profiles` made on the user's other devices
+ * as they happen, so the dose list stays current and settled doses stop reminding here too.
+ */
+
+// Changes usually arrive in bursts (a deleted pill and its logs); react once per burst
+const CHANGE_DEBOUNCE_MS = 500;
+
+// Subscribe to the user's pill and log changes. `onChange` runs after a burst of
+// remote changes has been stored locally. Returns a cleanup function.
+export const subscribeToPillChanges = (userId, { onChange } = {}) => {
+  let debounceTimer;
+
+  const handleChange = (table) => async (payload) => {
+    try {
+      const changed = await applyRemoteChange(userId, table, payload);
+      if (!changed) {
+        return;
+      }
+
+      console.log(`🔁 Remote ${payload.eventType} on ${table}`);
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(async () => {
+        // A dose taken or skipped on another device no longer needs its reminders here
+        await syncReminders();
+        onChange?.();
+      }, CHANGE_DEBOUNCE_MS);
+    } catch (error) {
+      console.error('Apply remote change failed:', error.message);
+    }
+  };
+
+  const channel = supabase.channel(`pill-sync:${userId}`);
+
+  for (const table of Object.values(LOCAL_TABLES)) {
+    for (const event of ['INSERT', 'UPDATE']) {
+      channel.on(
+        'postgres_changes',
+        { event, schema: 'public', table, filter: `user_id=eq.${userId}` },
+        handleChange(table)
+      );
+    }
+
+    // Deletes cannot be filtered and only carry the row id; applyRemoteChange ignores
+    // ids that are not cached on this device
+    channel.on(
+      'postgres_changes',
+      { event: 'DELETE', schema: 'public', table },
+      handleChange(table)
+    );
+  }
+
+  channel.subscribe((status) => {
+    console.log('Realtime sync status:', status);
+  });
+
+  return () => {
+    clearTimeout(debounceTimer);
+    supabase.removeChannel(channel);
+  };
+};
+
+export default {
+  subscribeToPillChanges,
+};
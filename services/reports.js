@@ -0,0 +1,294 @@
+import { supabase } from '../config/supabase';
+import { getPillOwner, getUserPills, TAKEN_LOG_STATUSES, LOG_STATUS } from './pills';
+import {
+  getLocalRow,
+  getLocalRows,
+  isNetworkError,
+  LOCAL_TABLES,
+  syncPendingMutations
+} from './localStore';
+import {
+  addDaysToKey,
+  getActiveTimeZone,
+  getExpectedSlots,
+  getLogSlotKey,
+  toDateKey,
+  zonedTimeToDate
+} from './schedule';
+
+/**
+ * Adherence reports for PillTracker
+ * Builds per-day and per-pill adherence over a date range from the schedule and pill_logs
+ */
+
+// Longest range a single report may cover
+const MAX_RANGE_DAYS = 366;
+
+// Rows fetched per pill_logs request
+const LOGS_PAGE_SIZE = 1000;
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const createCounters = () => ({
+  expected: 0,
+  taken: 0,
+  onTime: 0,
+  late: 0,
+  early: 0,
+  missed: 0,
+  skipped: 0,
+  pending: 0,
+  delaySum: 0,
+});
+
+// Count one expected dose slot, with its log if there is one
+const countSlot = (counters, log, isPending) => {
+  counters.expected += 1;
+
+  if (log && TAKEN_LOG_STATUSES.includes(log.status)) {
+    counters.taken += 1;
+    counters.delaySum += log.minutes_difference || 0;
+    if (log.status === 'on_time') counters.onTime += 1;
+    else if (log.status === 'late') counters.late += 1;
+    else counters.early += 1;
+  } else if (log?.status === LOG_STATUS.SKIPPED) {
+    counters.skipped += 1;
+  } else if (isPending && log?.status !== LOG_STATUS.MISSED) {
+    counters.pending += 1;
+  } else {
+    counters.missed += 1;
+  }
+};
+
+// Add rates and averages; pending (future) and skipped doses are not judged
+const finalizeCounters = ({ delaySum, ...counters }) => {
+  const settled = counters.expected - counters.pending - counters.skipped;
+  return {
+    ...counters,
+    adherenceRate: settled > 0 ? Math.round((counters.taken / settled) * 100) : null,
+    averageDelay: counters.taken > 0 ? Math.round(delaySum / counters.taken) : null,
+  };
+};
+
+// Consecutive days on which every settled dose was taken; days without doses are skipped
+const computeStreaks = (days) => {
+  let current = 0;
+  let longest = 0;
+
+  for (const day of days) {
+    const settled = day.expected - day.pending - day.skipped;
+    if (settled === 0) {
+      continue;
+    }
+
+    if (day.missed === 0) {
+      current += 1;
+      longest = Math.max(longest, current);
+    } else {
+      current = 0;
+    }
+  }
+
+  return { current, longest };
+};
+
+// Fetch every log of the user in [start, end), page by page
+const fetchLogsBetween = async (userId, start, end) => {
+  const logs = [];
+
+  for (let offset = 0; ; offset += LOGS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('pill_logs')
+      .select('*')
+      .eq('user_id', userId)
+      .gte('taken_at', start.toISOString())
+      .lt('taken_at', end.toISOString())
+      .order('taken_at', { ascending: true })
+      .range(offset, offset + LOGS_PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    logs.push(...(data || []));
+
+    if (!data || data.length < LOGS_PAGE_SIZE) {
+      return logs;
+    }
+  }
+};
+
+// Logs of the user in [start, end); offline, or while local changes are still
+// waiting to be sent, the logs kept on the device are used
+const getLogsBetween = async (userId, start, end) => {
+  try {
+    if (await syncPendingMutations(userId) === 0) {
+      return await fetchLogsBetween(userId, start, end);
+    }
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      throw error;
+    }
+  }
+
+  const logs = await getLocalRows(userId, LOCAL_TABLES.PILL_LOGS);
+  return logs.filter(log => new Date(log.taken_at) >= start && new Date(log.taken_at) < end);
+};
+
+// The log that decides each slot's outcome: a taken log wins over a skipped one,
+// which wins over a missed record for the same slot
+const getLogsBySlot = (logs) => {
+  const logRank = (log) => (TAKEN_LOG_STATUSES.includes(log.status) ? 2 : log.status === LOG_STATUS.SKIPPED ? 1 : 0);
+  const logsBySlot = new Map();
+  for (const log of logs) {
+    const key = getLogSlotKey(log);
+    const existing = logsBySlot.get(key);
+    if (!existing || logRank(log) > logRank(existing)) {
+      logsBySlot.set(key, log);
+    }
+  }
+  return logsBySlot;
+};
+
+// Day keys from `from` to `to` (inclusive), validated
+const getDayKeys = (from, to) => {
+  if (!DATE_KEY_REGEX.test(from) || !DATE_KEY_REGEX.test(to) || from > to) {
+    throw new Error('Invalid date range');
+  }
+
+  const dayKeys = [];
+  for (let key = from; key <= to; key = addDaysToKey(key, 1)) {
+    dayKeys.push(key);
+    if (dayKeys.length > MAX_RANGE_DAYS) {
+      throw new Error('Date range too long');
+    }
+  }
+  return dayKeys;
+};
+
+// Adherence report between two calendar days (YYYY-MM-DD, inclusive)
+export const getAdherenceReport = async ({ from, to }) => {
+  try {
+    // Reports follow the selected patient, like the pill list
+    const owner = await getPillOwner();
+    const dayKeys = getDayKeys(from, to);
+
+    // Completed courses still count for the days they were running
+    const pills = await getUserPills({ status: null });
+
+    // One extra day on both sides catches doses taken around midnight
+    const logs = await getLogsBetween(
+      owner.id,
+      zonedTimeToDate(addDaysToKey(from, -1), '00:00'),
+      zonedTimeToDate(addDaysToKey(to, 2), '00:00')
+    );
+
+    const logsBySlot = getLogsBySlot(logs);
+
+    const now = new Date();
+    const totals = createCounters();
+    const dayCounters = new Map(dayKeys.map(key => [key, createCounters()]));
+    const pillCounters = new Map(pills.map(pill => [pill.id, createCounters()]));
+
+    for (const slot of getExpectedSlots(pills, from, to)) {
+      const log = logsBySlot.get(slot.key);
+      const isPending = slot.scheduledAt > now;
+
+      countSlot(dayCounters.get(slot.date), log, isPending);
+      countSlot(pillCounters.get(slot.pill.id), log, isPending);
+      countSlot(totals, log, isPending);
+    }
+
+    const days = dayKeys.map(key => ({ date: key, ...finalizeCounters(dayCounters.get(key)) }));
+
+    const pillReports = pills
+      .map(pill => ({
+        pillId: pill.id,
+        name: pill.name,
+        status: pill.status,
+        ...finalizeCounters(pillCounters.get(pill.id)),
+      }))
+      .filter(report => report.expected > 0);
+
+    return {
+      from,
+      to,
+      timeZone: getActiveTimeZone(),
+      totals: finalizeCounters(totals),
+      streaks: computeStreaks(days),
+      days,
+      pills: pillReports,
+    };
+  } catch (error) {
+    console.error('Get adherence report failed:', error.message);
+    throw error;
+  }
+};
+
+// Outcome of a day on a pill's history calendar
+export const DAY_STATUS = {
+  TAKEN: 'taken',
+  LATE: 'late',
+  MISSED: 'missed',
+  SKIPPED: 'skipped',
+  PENDING: 'pending',
+};
+
+// Worst outcome of a day's doses; null when no dose was due
+const getDayStatus = (counters) => {
+  if (counters.expected === 0) return null;
+  if (counters.missed > 0) return DAY_STATUS.MISSED;
+  if (counters.pending > 0) return DAY_STATUS.PENDING;
+  if (counters.late > 0) return DAY_STATUS.LATE;
+  if (counters.taken > 0) return DAY_STATUS.TAKEN;
+  return DAY_STATUS.SKIPPED;
+};
+
+// Day by day outcome of one pill's doses between two calendar days (inclusive),
+// as `[{ date, status, ...counters }]` for its history calendar
+export const getPillCalendar = async (pillId, { from, to }) => {
+  try {
+    const owner = await getPillOwner({ pillId });
+    const dayKeys = getDayKeys(from, to);
+
+    const pill = await getLocalRow(owner.id, LOCAL_TABLES.PILLS, pillId);
+    if (!pill) {
+      throw new Error('Pill not found');
+    }
+
+    const logs = (await getLogsBetween(
+      owner.id,
+      zonedTimeToDate(addDaysToKey(from, -1), '00:00'),
+      zonedTimeToDate(addDaysToKey(to, 2), '00:00')
+    )).filter(log => log.pill_id === pillId);
+
+    const logsBySlot = getLogsBySlot(logs);
+    const now = new Date();
+    const dayCounters = new Map(dayKeys.map(key => [key, createCounters()]));
+
+    for (const slot of getExpectedSlots([pill], from, to)) {
+      countSlot(dayCounters.get(slot.date), logsBySlot.get(slot.key), slot.scheduledAt > now);
+    }
+
+    return dayKeys.map(key => {
+      const counters = finalizeCounters(dayCounters.get(key));
+      return { date: key, status: getDayStatus(counters), ...counters };
+    });
+  } catch (error) {
+    console.error('Get pill calendar failed:', error.message);
+    throw error;
+  }
+};
+
+// Adherence report for the last `days` days, today included
+export const getRecentAdherenceReport = async (days) => {
+  const to = toDateKey(new Date());
+  const from = addDaysToKey(to, -(days - 1));
+  return getAdherenceReport({ from, to });
+};
+
+export default {
+  getAdherenceReport,
+  getRecentAdherenceReport,
+  getPillCalendar,
+};
@@ -0,0 +1,201 @@
+import { parseISO } from 'date-fns';
+import {
+  addDaysToKey,
+  getActiveTimeZone,
+  getDayRange,
+  getDeviceTimeZone,
+  getExpectedSlots,
+  getLogDateKey,
+  getLogSlotKey,
+  getPillTimes,
+  getRecurrence,
+  getScheduleVersions,
+  getSlotKey,
+  hasCourseEnded,
+  isDoseDay,
+  isWithinCourse,
+  normalizeTime,
+  setActiveTimeZone,
+  toDateKey,
+  withTimeZone,
+  zonedTimeToDate,
+  RECURRENCE_TYPES,
+  SCHEDULE_FIELDS
+} from '../supabase/functions/_shared/schedule.js';
+
+/**
+ * Schedule helpers for PillTracker
+ * Pure date logic for pill recurrence rules, shared by services and screens.
+ * Calendar days, time zones and dose slots live in supabase/functions/_shared/schedule.js,
+ * which the missed-dose-alerts job uses too; they are re-exported here with the
+ * helpers only the app needs.
+ */
+
+export {
+  addDaysToKey,
+  getActiveTimeZone,
+  getDayRange,
+  getDeviceTimeZone,
+  getExpectedSlots,
+  getLogDateKey,
+  getLogSlotKey,
+  getPillTimes,
+  getRecurrence,
+  getScheduleVersions,
+  getSlotKey,
+  hasCourseEnded,
+  isDoseDay,
+  isWithinCourse,
+  normalizeTime,
+  setActiveTimeZone,
+  toDateKey,
+  withTimeZone,
+  zonedTimeToDate,
+  RECURRENCE_TYPES,
+  SCHEDULE_FIELDS
+};
+
+// Weekday labels indexed like Date.getDay() (0 = Sunday)
+export const WEEKDAY_LABELS = ['Paz', 'Pzt', 'Sal', 'Çar', 'Per', 'Cum', 'Cmt'];
+
+// Monday-first order for pickers
+export const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Validates HH:MM strings (24h)
+export const TIME_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Parse a YYYY-MM-DD key as a device-local date (for display)
+export const fromDateKey = (key) => parseISO(key);
+
+// Milliseconds until the next midnight in the active time zone
+export const getMsUntilNextDay = (now = new Date()) => {
+  return getDayRange(now).end - now;
+};
+
+// End date key of a course that lasts `days` days from `startKey`
+export const getCourseEndDate = (startKey, days) => {
+  return addDaysToKey(startKey, days - 1);
+};
+
+// Validate recurrence input coming from the UI
+export const validateRecurrence = (recurrence) => {
+  const type = recurrence?.type || RECURRENCE_TYPES.DAILY;
+
+  if (!Object.values(RECURRENCE_TYPES).includes(type)) {
+    throw new Error('Invalid recurrence type');
+  }
+
+  if (type === RECURRENCE_TYPES.WEEKDAYS) {
+    const days = recurrence.days || [];
+    if (days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new Error('Invalid recurrence weekdays');
+    }
+  }
+
+  if (type === RECURRENCE_TYPES.EVERY_N_DAYS || type === RECURRENCE_TYPES.EVERY_N_WEEKS) {
+    const interval = Number(recurrence.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error('Invalid recurrence interval');
+    }
+  }
+
+  return true;
+};
+
+// Find the next dose moment for a time slot strictly after `from`
+export const getNextDoseDate = (pill, time, from = new Date()) => {
+  // Courses that start later are searched from their first day
+  const fromKey = toDateKey(from);
+  const searchFrom = pill.start_date && pill.start_date > fromKey ? pill.start_date : fromKey;
+
+  // Search at most two full cycles ahead
+  const recurrence = getRecurrence(pill);
+  const searchDays = (recurrence.interval * 7) * 2 + 7;
+
+  for (let offset = 0; offset <= searchDays; offset++) {
+    const key = addDaysToKey(searchFrom, offset);
+    if (hasCourseEnded(pill, key)) {
+      return null;
+    }
+
+    const candidate = zonedTimeToDate(key, time);
+    if (candidate > from && isDoseDay(pill, key)) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+// Human readable course limits (Turkish), empty for open-ended pills
+export const describeCourse = (pill) => {
+  const formatDay = (key) => fromDateKey(key).toLocaleDateString('tr-TR', { day: 'numeric', month: 'short' });
+  const parts = [];
+
+  if (pill.start_date && pill.end_date) {
+    parts.push(`${formatDay(pill.start_date)} – ${formatDay(pill.end_date)}`);
+  } else if (pill.end_date) {
+    parts.push(`Bitiş: ${formatDay(pill.end_date)}`);
+  } else if (pill.start_date && pill.start_date > toDateKey(new Date())) {
+    parts.push(`Başlangıç: ${formatDay(pill.start_date)}`);
+  }
+
+  if (pill.total_doses) {
+    parts.push(`${pill.total_doses} doz`);
+  }
+
+  return parts.join(' · ');
+};
+
+// Human readable recurrence (Turkish)
+export const describeRecurrence = (pill) => {
+  const recurrence = getRecurrence(pill);
+
+  switch (recurrence.type) {
+    case RECURRENCE_TYPES.WEEKDAYS:
+      return WEEKDAY_ORDER
+        .filter(day => recurrence.days.includes(day))
+        .map(day => WEEKDAY_LABELS[day])
+        .join(', ');
+    case RECURRENCE_TYPES.EVERY_N_DAYS:
+      return recurrence.interval === 1 ? 'Her gün' : `${recurrence.interval} günde bir`;
+    case RECURRENCE_TYPES.EVERY_N_WEEKS:
+      return recurrence.interval === 1 ? 'Haftada bir' : `${recurrence.interval} haftada bir`;
+    default:
+      return 'Her gün';
+  }
+};
+
+export default {
+  TIME_REGEX,
+  normalizeTime,
+  getPillTimes,
+  RECURRENCE_TYPES,
+  WEEKDAY_LABELS,
+  WEEKDAY_ORDER,
+  getDeviceTimeZone,
+  getActiveTimeZone,
+  setActiveTimeZone,
+  withTimeZone,
+  toDateKey,
+  fromDateKey,
+  addDaysToKey,
+  zonedTimeToDate,
+  getDayRange,
+  getMsUntilNextDay,
+  getRecurrence,
+  validateRecurrence,
+  isWithinCourse,
+  hasCourseEnded,
+  getCourseEndDate,
+  isDoseDay,
+  getNextDoseDate,
+  getSlotKey,
+  getLogDateKey,
+  getLogSlotKey,
+  SCHEDULE_FIELDS,
+  getScheduleVersions,
+  getExpectedSlots,
+  describeCourse,
+  describeRecurrence,
+};
@@ -0,0 +1,249 @@
+import { supabase } from '../config/supabase';
+import { getLocalRow, getSessionUser, LOCAL_TABLES } from './localStore';
+
+/**
+ * Caregiver sharing for PillTracker
+ * A patient invites a caregiver by email, with read-only or manage access to their
+ * `pills` and `pill_logs`. The caregiver sees the invitation once signed in with that
+ * email, accepts it, and can then select the patient to work on their pills.
+ */
+
+// What an invited caregiver may do
+export const SHARE_PERMISSIONS = {
+  READ: 'read',
+  MANAGE: 'manage',
+};
+
+export const SHARE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Patient whose pills the services work on; null for the signed-in user's own
+let activePatient = null;
+
+export const getActivePatient = () => activePatient;
+
+// Work on a shared patient's pills (`{ id, name, permission }`), or on our own with null
+export const setActivePatient = (patient) => {
+  activePatient = patient
+    ? { id: patient.id, name: patient.name, permission: patient.permission }
+    : null;
+};
+
+// Account whose pills are worked on: the selected patient, or the current
+// user. A pill of the current user's own (e.g. from a reminder) is always theirs.
+// `manage` requires permission to change the pills.
+export const getPillOwner = async ({ manage = false, pillId = null } = {}) => {
+  const user = await getSessionUser();
+  if (!user) {
+    throw new Error('User not authenticated');
+  }
+
+  const patient = getActivePatient();
+  const isOwnPill = !!pillId && !!(await getLocalRow(user.id, LOCAL_TABLES.PILLS, pillId));
+
+  if (!patient || patient.id === user.id || isOwnPill) {
+    return { id: user.id, isSelf: true, canManage: true };
+  }
+
+  const canManage = patient.permission === SHARE_PERMISSIONS.MANAGE;
+  if (manage && !canManage) {
+    throw new Error('Read-only access');
+  }
+
+  return { id: patient.id, isSelf: false, canManage };
+};
+
+const getDisplayName = (user) => {
+  const metadata = user.user_metadata || {};
+  if (metadata.first_name && metadata.last_name) {
+    return `${metadata.first_name} ${metadata.last_name}`;
+  }
+  return metadata.full_name || user.email.split('@')[0];
+};
+
+// Invite a caregiver by email
+export const inviteCaregiver = async (email, permission = SHARE_PERMISSIONS.READ) => {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const caregiverEmail = email.trim().toLowerCase();
+    if (!EMAIL_REGEX.test(caregiverEmail)) {
+      throw new Error('Invalid email');
+    }
+    if (caregiverEmail === user.email?.toLowerCase()) {
+      throw new Error('Cannot invite yourself');
+    }
+    if (!Object.values(SHARE_PERMISSIONS).includes(permission)) {
+      throw new Error('Invalid permission');
+    }
+
+    const { data, error } = await supabase
+      .from('pill_shares')
+      .insert([{
+        patient_id: user.id,
+        patient_name: getDisplayName(user),
+        caregiver_email: caregiverEmail,
+        permission
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('Caregiver already invited');
+      }
+      throw error;
+    }
+
+    console.log(`👥 Caregiver invited: ${caregiverEmail} (${permission})`);
+    return data;
+  } catch (error) {
+    console.error('Invite caregiver failed:', error.message);
+    throw error;
+  }
+};
+
+// Caregivers the signed-in user invited, accepted or not
+export const getCaregivers = async () => {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from('pill_shares')
+      .select('*')
+      .eq('patient_id', user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Get caregivers failed:', error.message);
+    throw error;
+  }
+};
+
+// Change what an invited caregiver may do
+export const updateCaregiverPermission = async (shareId, permission) => {
+  try {
+    if (!Object.values(SHARE_PERMISSIONS).includes(permission)) {
+      throw new Error('Invalid permission');
+    }
+
+    const { data, error } = await supabase
+      .from('pill_shares')
+      .update({ permission })
+      .eq('id', shareId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Update caregiver permission failed:', error.message);
+    throw error;
+  }
+};
+
+// End a share: the patient revokes it, or the caregiver declines or leaves it
+export const removeShare = async (shareId) => {
+  try {
+    const { error } = await supabase
+      .from('pill_shares')
+      .delete()
+      .eq('id', shareId);
+
+    if (error) {
+      throw error;
+    }
+
+    if (activePatient) {
+      // The selected patient may have been the one removed
+      const patients = await getSharedPatients();
+      if (!patients.some(patient => patient.id === activePatient.id && patient.status === SHARE_STATUS.ACCEPTED)) {
+        setActivePatient(null);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Remove share failed:', error.message);
+    throw error;
+  }
+};
+
+// Patients who invited the signed-in user, as `{ shareId, id, name, permission, status }`
+export const getSharedPatients = async () => {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from('pill_shares')
+      .select('*')
+      .eq('caregiver_email', user.email.toLowerCase())
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(share => ({
+      shareId: share.id,
+      id: share.patient_id,
+      name: share.patient_name,
+      permission: share.permission,
+      status: share.status,
+    }));
+  } catch (error) {
+    console.error('Get shared patients failed:', error.message);
+    throw error;
+  }
+};
+
+// Accept an invitation sent to the signed-in user's email
+export const acceptInvitation = async (shareId) => {
+  try {
+    // Caregivers cannot update shares directly, so they cannot raise their own permission
+    const { data, error } = await supabase.rpc('accept_pill_share', { share_id: shareId });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`👥 Invitation accepted from ${data.patient_name}`);
+    return data;
+  } catch (error) {
+    console.error('Accept invitation failed:', error.message);
+    throw error;
+  }
+};
+
+export default {
+  getActivePatient,
+  setActivePatient,
+  getPillOwner,
+  inviteCaregiver,
+  getCaregivers,
+  updateCaregiverPermission,
+  removeShare,
+  getSharedPatients,
+  acceptInvitation,
+};
@@ -0,0 +1,229 @@
+import {
+  addDaysToKey,
+  getExpectedSlots,
+  getLogSlotKey,
+  toDateKey,
+  withTimeZone
+} from './schedule.js';
+
+/**
+ * Missed dose alerts for PillTracker
+ * Server-side job shared by the missed-dose-alerts edge function and the local Node
+ * script. Finds dose slots that passed their grace window without a taken or skipped
+ * log and tells the patient's emergency contacts, once per contact and slot.
+ * Needs a Supabase client with the service role key, since it reads every user's data.
+ */
+
+// Same default as DEFAULT_MISSED_GRACE_MINUTES in services/pills.js
+const DEFAULT_MISSED_GRACE_MINUTES = 120;
+
+// Doses overdue for longer than this are not reported (e.g. on the first run)
+const ALERT_LOOKBACK_HOURS = 24;
+
+// Rows fetched per request
+const PAGE_SIZE = 1000;
+
+// Log statuses that settle a dose slot; a `missed` log does not
+const SETTLED_LOG_STATUSES = ['on_time', 'late', 'early', 'skipped'];
+
+// Fetch every row of a query, page by page
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+const groupBy = (rows, field) => {
+  const groups = new Map();
+  for (const row of rows) {
+    groups.set(row[field], [...(groups.get(row[field]) || []), row]);
+  }
+  return groups;
+};
+
+const getDisplayName = (user) => {
+  const metadata = user.user_metadata || {};
+  if (metadata.first_name && metadata.last_name) {
+    return `${metadata.first_name} ${metadata.last_name}`;
+  }
+  return metadata.full_name || user.email?.split('@')[0] || 'Hasta';
+};
+
+const getGraceMinutes = (user) => {
+  const minutes = Number(user.user_metadata?.missed_grace_minutes);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_MISSED_GRACE_MINUTES;
+};
+
+// Alert content for one missed dose slot; a dependent profile's pill is named after the profile
+const buildAlert = (user, profile, slot, timeZone) => {
+  const patientName = profile?.name || getDisplayName(user);
+  const day = slot.scheduledAt.toLocaleDateString('tr-TR', { timeZone, day: 'numeric', month: 'long' });
+
+  return {
+    userId: user.id,
+    profileId: profile?.id || null,
+    patientName,
+    pillId: slot.pill.id,
+    pillName: slot.pill.name,
+    scheduledTime: slot.time,
+    scheduledAt: slot.scheduledAt.toISOString(),
+    timeZone,
+    title: '⚠️ Kaçırılan Doz',
+    body: `${patientName}, ${slot.pill.name} ilacının ${day} ${slot.time} dozunu almadı.`,
+  };
+};
+
+// Overdue, unsettled dose slots of one profile's pills (null for the account holder's own)
+const findProfileMissedDoses = (user, profile, pills, logs, now) => {
+  const timeZone = profile?.timezone || user.user_metadata?.timezone || 'UTC';
+  const graceMs = getGraceMinutes(user) * 60 * 1000;
+  const since = now.getTime() - ALERT_LOOKBACK_HOURS * 60 * 60 * 1000;
+
+  // Day keys and slot instants below are computed in the patient's zone
+  return withTimeZone(timeZone, () => {
+    const todayKey = toDateKey(now);
+    const fromKey = addDaysToKey(toDateKey(new Date(since)), -1);
+
+    const settledSlots = new Set(
+      logs.filter(log => SETTLED_LOG_STATUSES.includes(log.status)).map(getLogSlotKey)
+    );
+
+    return getExpectedSlots(pills, fromKey, todayKey)
+      .filter(slot => slot.scheduledAt.getTime() >= since)
+      .filter(slot => slot.scheduledAt.getTime() + graceMs <= now.getTime())
+      .filter(slot => !settledSlots.has(slot.key))
+      .map(slot => buildAlert(user, profile, slot, timeZone));
+  });
+};
+
+// Overdue, unsettled dose slots of one user, across their dependent profiles
+const findUserMissedDoses = (user, profiles, pills, logs, now) => [null, ...profiles].flatMap(profile => {
+  const profilePills = pills.filter(pill => (pill.profile_id || null) === (profile?.id || null));
+  const pillIds = new Set(profilePills.map(pill => pill.id));
+  return findProfileMissedDoses(user, profile, profilePills, logs.filter(log => pillIds.has(log.pill_id)), now);
+});
+
+// Missed doses of every user with emergency contacts, as
+// `[{ alert, contacts }]` with the contacts not yet told about that dose
+export const findMissedDoseAlerts = async (supabase, now = new Date()) => {
+  const contacts = await fetchAll(() => supabase.from('emergency_contacts').select('*').order('id'));
+  if (contacts.length === 0) {
+    return [];
+  }
+
+  const contactsByUser = groupBy(contacts, 'user_id');
+  const userIds = [...contactsByUser.keys()];
+  // A day of margin covers doses taken early and slots just inside the lookback
+  const since = new Date(now.getTime() - (ALERT_LOOKBACK_HOURS + 24) * 60 * 60 * 1000).toISOString();
+
+  const [profiles, pills, logs, sentAlerts] = await Promise.all([
+    fetchAll(() => supabase.from('profiles').select('*').in('user_id', userIds).order('id')),
+    fetchAll(() => supabase.from('pills').select('*').in('user_id', userIds).eq('status', 'active').order('id')),
+    fetchAll(() => supabase
+      .from('pill_logs')
+      .select('pill_id, user_id, taken_at, scheduled_time, scheduled_at, status')
+      .in('user_id', userIds)
+      .gte('taken_at', since)
+      .order('id')),
+    fetchAll(() => supabase
+      .from('missed_dose_alerts')
+      .select('contact_id, pill_id, scheduled_at')
+      .in('user_id', userIds)
+      .gte('scheduled_at', since)
+      .order('id')),
+  ]);
+
+  const profilesByUser = groupBy(profiles, 'user_id');
+  const pillsByUser = groupBy(pills, 'user_id');
+  const logsByUser = groupBy(logs, 'user_id');
+  const sent = new Set(sentAlerts.map(row => `${row.contact_id}|${row.pill_id}|${new Date(row.scheduled_at).getTime()}`));
+  const results = [];
+
+  for (const userId of userIds) {
+    const userPills = pillsByUser.get(userId) || [];
+    if (userPills.length === 0) {
+      continue;
+    }
+
+    const { data, error } = await supabase.auth.admin.getUserById(userId);
+    if (error) {
+      console.error(`Loading user ${userId} failed:`, error.message);
+      continue;
+    }
+
+    const userProfiles = profilesByUser.get(userId) || [];
+    for (const alert of findUserMissedDoses(data.user, userProfiles, userPills, logsByUser.get(userId) || [], now)) {
+      const pending = contactsByUser.get(userId).filter(contact =>
+        !sent.has(`${contact.id}|${alert.pillId}|${new Date(alert.scheduledAt).getTime()}`)
+      );
+      if (pending.length > 0) {
+        results.push({ alert, contacts: pending });
+      }
+    }
+  }
+
+  return results;
+};
+
+// Find missed doses and send the alerts. `notifiers` maps a contact channel
+// (push, email, webhook) to `{ send(contact, alert) }`; see ./notifiers.js.
+// A failed alert is not recorded, so the next run tries it again.
+export const runMissedDoseAlerts = async ({ supabase, notifiers, now = new Date(), dryRun = false }) => {
+  const summary = { missed: 0, sent: 0, failed: 0, skipped: 0 };
+  const missedDoses = await findMissedDoseAlerts(supabase, now);
+  summary.missed = missedDoses.length;
+
+  for (const { alert, contacts } of missedDoses) {
+    for (const contact of contacts) {
+      const notifier = notifiers[contact.channel];
+
+      if (!notifier) {
+        console.warn(`No notifier for ${contact.channel}, skipping contact ${contact.id}`);
+        summary.skipped += 1;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`[dry run] ${contact.channel} → ${contact.target}: ${alert.body}`);
+        summary.sent += 1;
+        continue;
+      }
+
+      try {
+        await notifier.send(contact, alert);
+
+        const { error } = await supabase.from('missed_dose_alerts').insert([{
+          user_id: alert.userId,
+          pill_id: alert.pillId,
+          contact_id: contact.id,
+          scheduled_at: alert.scheduledAt,
+        }]);
+
+        // Another run may have sent the same alert meanwhile
+        if (error && error.code !== '23505') {
+          throw error;
+        }
+
+        summary.sent += 1;
+      } catch (error) {
+        console.error(`Alert to ${contact.channel} contact ${contact.id} failed:`, error.message);
+        summary.failed += 1;
+      }
+    }
+  }
+
+  console.log(`🚨 Missed dose alerts: ${summary.missed} missed doses, ${summary.sent} sent, ${summary.failed} failed, ${summary.skipped} skipped`);
+  return summary;
+};
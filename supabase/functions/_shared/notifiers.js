@@ -0,0 +1,203 @@
+/**
+ * Notifiers for missed dose alerts
+ * Each notifier is `{ send(contact, alert) }` and throws when the alert could not be
+ * delivered. Pass your own to `runMissedDoseAlerts` to add or replace a channel.
+ */
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const RESEND_EMAIL_URL = 'https://api.resend.com/emails';
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Contact targets are stored by patients; pattern characters never belong in an email
+const EMAIL_REGEX = /^[^\s@%*,()]+@[^\s@%*,()]+\.[^\s@%*,()]+$/;
+
+const postJson = async (url, body, headers = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status}: ${await response.text()}`);
+  }
+
+  return response;
+};
+
+const normalizeEmailTarget = (target) => {
+  const email = (target || '').trim().toLowerCase();
+  if (!EMAIL_REGEX.test(email)) {
+    throw new Error(`Invalid email target: ${target}`);
+  }
+  return email;
+};
+
+// Whether a host name is an IP address literal
+const isIP = (hostname) => /^\[.*\]$|^[\d.]+$/.test(hostname);
+
+// Whether an IP address is loopback, private, link-local or otherwise not on the internet
+const isPrivateAddress = (address) => {
+  const ip = address.toLowerCase().replace(/^\[|\]$/g, '');
+
+  // IPv4, also when mapped into IPv6 (::ffff:10.0.0.1)
+  const ipv4 = ip.match(/^(?:::ffff:)?(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (ipv4) {
+    const [a, b] = ipv4.slice(1, 3).map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  if (ip.includes(':')) {
+    return ip === '::' || ip === '::1' || ip.startsWith('::ffff:') ||
+      /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith('ff');
+  }
+
+  return false;
+};
+
+// IP addresses of a host name, under Deno; other runtimes pass their own resolver.
+// A host without A or AAAA records (or without permission to look it up) has none.
+const resolveWithDeno = async (hostname) => {
+  const results = await Promise.allSettled([
+    Deno.resolveDns(hostname, 'A'),
+    Deno.resolveDns(hostname, 'AAAA'),
+  ]);
+  return results.flatMap(result => (result.status === 'fulfilled' ? result.value : []));
+};
+
+// POST `body` as JSON to `url` over a connection to `address`, the IP the host was
+// checked at, under Deno. TLS is still verified against the URL's host name.
+const postWithDeno = async ({ url, address, body }) => {
+  const encoder = new TextEncoder();
+  const payload = encoder.encode(JSON.stringify(body));
+  const conn = await Deno.connect({ hostname: address, port: Number(url.port) || 443 });
+  const tls = await Deno.startTls(conn, { hostname: url.hostname });
+  const timer = setTimeout(() => tls.close(), WEBHOOK_TIMEOUT_MS);
+
+  try {
+    const writer = tls.writable.getWriter();
+    await writer.write(encoder.encode([
+      `POST ${url.pathname}${url.search} HTTP/1.1`,
+      `Host: ${url.host}`,
+      'Content-Type: application/json',
+      `Content-Length: ${payload.length}`,
+      'Connection: close',
+      '',
+      '',
+    ].join('\r\n')));
+    await writer.write(payload);
+    writer.releaseLock();
+
+    const response = await new Response(tls.readable).text();
+    const status = Number(response.match(/^HTTP\/1\.[01] (\d{3})/)?.[1]) || 0;
+    return { status, text: response.slice(response.indexOf('\r\n\r\n') + 4) };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Webhook URLs are stored by patients and called with the service role's network
+// access, so only public https hosts are allowed. Resolves to the checked address to
+// connect to; a host that does not resolve is refused.
+const resolvePublicAddress = async (target, resolveHost) => {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    throw new Error(`Invalid webhook URL: ${target}`);
+  }
+
+  if (url.protocol !== 'https:') {
+    throw new Error(`Webhook URL must use https: ${target}`);
+  }
+
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+  if (hostname === 'localhost' || /\.(localhost|local|internal)$/.test(hostname) || isPrivateAddress(hostname)) {
+    throw new Error(`Webhook host is not public: ${hostname}`);
+  }
+
+  const addresses = isIP(hostname) ? [hostname] : await resolveHost(hostname);
+  if (!addresses || addresses.length === 0) {
+    throw new Error(`Webhook host did not resolve: ${hostname}`);
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new Error(`Webhook host resolves to a private address: ${hostname}`);
+  }
+
+  return { url, address: addresses[0] };
+};
+
+// Push to every device the contact is signed in on (target: their account email)
+export const createPushNotifier = ({ supabase }) => ({
+  send: async (contact, alert) => {
+    const { data: tokens, error } = await supabase
+      .from('push_tokens')
+      .select('token')
+      .eq('email', normalizeEmailTarget(contact.target));
+
+    if (error) {
+      throw error;
+    }
+    if (!tokens || tokens.length === 0) {
+      throw new Error(`No devices registered for ${contact.target}`);
+    }
+
+    await postJson(EXPO_PUSH_URL, tokens.map(({ token }) => ({
+      to: token,
+      title: alert.title,
+      body: alert.body,
+      sound: 'default',
+      data: { type: 'missed_dose_alert', patientId: alert.userId, pillId: alert.pillId },
+    })));
+  },
+});
+
+// Email through the Resend API
+export const createEmailNotifier = ({ apiKey, from }) => ({
+  send: async (contact, alert) => {
+    await postJson(RESEND_EMAIL_URL, {
+      from,
+      to: [normalizeEmailTarget(contact.target)],
+      subject: alert.title,
+      text: `Merhaba ${contact.name},\n\n${alert.body}\n\nPillTracker`,
+    }, { Authorization: `Bearer ${apiKey}` });
+  },
+});
+
+// POST the alert as JSON to the contact's URL. `resolveHost(hostname)` returns the
+// host's IP addresses so private ones can be refused, and `post({ url, address, body })`
+// sends the request to the address that was checked (never looking the host up again)
+// and resolves to `{ status, text }`. Redirects are not followed.
+export const createWebhookNotifier = ({ resolveHost = resolveWithDeno, post = postWithDeno } = {}) => ({
+  send: async (contact, alert) => {
+    const { url, address } = await resolvePublicAddress(contact.target, resolveHost);
+    const { status, text } = await post({
+      url,
+      address: address.replace(/^\[|\]$/g, ''),
+      body: { type: 'missed_dose', contact: { id: contact.id, name: contact.name }, ...alert },
+    });
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`${contact.target} responded ${status}: ${text}`);
+    }
+  },
+});
+
+// Notifiers available with the given environment; email needs RESEND_API_KEY
+// and ALERT_EMAIL_FROM
+export const createDefaultNotifiers = ({ supabase, env, resolveHost, post }) => {
+  const notifiers = {
+    push: createPushNotifier({ supabase }),
+    webhook: createWebhookNotifier({ resolveHost, post }),
+  };
+
+  if (env.RESEND_API_KEY && env.ALERT_EMAIL_FROM) {
+    notifiers.email = createEmailNotifier({ apiKey: env.RESEND_API_KEY, from: env.ALERT_EMAIL_FROM });
+  }
+
+  return notifiers;
+};
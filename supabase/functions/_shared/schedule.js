@@ -0,0 +1,260 @@
+/**
+ * Schedule core for PillTracker
+ * Calendar days, time zones and the dose slots pills are due for. Shared by the app
+ * (through services/schedule.js) and the missed-dose-alerts job, so it has no
+ * dependencies and runs under React Native, Node and Deno alike.
+ * Calendar days are computed in the active time zone (the user's profile
+ * time zone), so stats, timing and reminders agree on what "today" is.
+ */
+
+// Supported recurrence types
+export const RECURRENCE_TYPES = {
+  DAILY: 'daily',
+  WEEKDAYS: 'weekdays',
+  EVERY_N_DAYS: 'every_n_days',
+  EVERY_N_WEEKS: 'every_n_weeks',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalize a time string to zero-padded HH:MM
+export const normalizeTime = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// Get the dose times of a pill, sorted (older rows only have a single `time`)
+export const getPillTimes = (pill) => {
+  const times = Array.isArray(pill.times) && pill.times.length > 0 ? pill.times : [pill.time];
+  return times.filter(Boolean).map(normalizeTime).sort();
+};
+
+// Time zone of the device (IANA name, e.g. "Europe/Istanbul")
+export const getDeviceTimeZone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+// Time zone used for all calendar day computations
+let activeTimeZone = getDeviceTimeZone();
+
+export const getActiveTimeZone = () => activeTimeZone;
+
+export const setActiveTimeZone = (timeZone) => {
+  if (!timeZone) {
+    return;
+  }
+  // Throws a RangeError for unknown zones
+  new Intl.DateTimeFormat('en-US', { timeZone });
+  activeTimeZone = timeZone;
+};
+
+// Run synchronous date logic in another time zone (e.g. a dependent profile's),
+// then restore the active one. A missing zone keeps the active one.
+export const withTimeZone = (timeZone, compute) => {
+  const previous = activeTimeZone;
+  setActiveTimeZone(timeZone);
+  try {
+    return compute();
+  } finally {
+    activeTimeZone = previous;
+  }
+};
+
+// Wall clock parts of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Calendar day key (YYYY-MM-DD) of an instant in the active time zone
+export const toDateKey = (date, timeZone = activeTimeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Day keys are plain calendar values, so their arithmetic is done in UTC
+const keyToUtc = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+export const addDaysToKey = (key, days) => {
+  return new Date(keyToUtc(key) + days * DAY_MS).toISOString().split('T')[0];
+};
+
+const daysBetweenKeys = (fromKey, toKey) => Math.round((keyToUtc(toKey) - keyToUtc(fromKey)) / DAY_MS);
+
+const weekdayOfKey = (key) => new Date(keyToUtc(key)).getUTCDay();
+
+// Instant of a wall clock time (HH:MM) on a calendar day in a time zone
+export const zonedTimeToDate = (key, time, timeZone = activeTimeZone) => {
+  const [hour, minute] = time.split(':').map(Number);
+  const guess = keyToUtc(key) + (hour * 60 + minute) * 60 * 1000;
+
+  // Re-check the offset at the result to handle DST transitions
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const correctedOffset = getTimeZoneOffset(new Date(guess - offset), timeZone);
+  return new Date(guess - correctedOffset);
+};
+
+// Start (inclusive) and end (exclusive) of the calendar day containing `date`
+export const getDayRange = (date = new Date(), timeZone = activeTimeZone) => {
+  const key = toDateKey(date, timeZone);
+  return {
+    start: zonedTimeToDate(key, '00:00', timeZone),
+    end: zonedTimeToDate(addDaysToKey(key, 1), '00:00', timeZone),
+  };
+};
+
+// Get the recurrence of a pill (pills without one are taken every day)
+export const getRecurrence = (pill) => {
+  const recurrence = pill.recurrence || {};
+  return {
+    type: recurrence.type || RECURRENCE_TYPES.DAILY,
+    days: recurrence.days || [],
+    interval: Math.max(1, Number(recurrence.interval) || 1),
+    anchor: recurrence.anchor || pill.start_date || toDateKey(pill.created_at ? new Date(pill.created_at) : new Date()),
+  };
+};
+
+// Check whether a day falls inside the pill's course (start/end dates are inclusive)
+export const isWithinCourse = (pill, date) => {
+  const key = typeof date === 'string' ? date : toDateKey(date);
+  if (pill.start_date && key < pill.start_date) {
+    return false;
+  }
+  if (pill.end_date && key > pill.end_date) {
+    return false;
+  }
+  return true;
+};
+
+// Check whether the pill's course is over on the given day
+export const hasCourseEnded = (pill, date = new Date()) => {
+  const key = typeof date === 'string' ? date : toDateKey(date);
+  return !!pill.end_date && key > pill.end_date;
+};
+
+// Check whether a pill is due on a day (an instant or a YYYY-MM-DD key)
+export const isDoseDay = (pill, date) => {
+  const key = typeof date === 'string' ? date : toDateKey(date);
+  if (!isWithinCourse(pill, key)) {
+    return false;
+  }
+
+  const recurrence = getRecurrence(pill);
+  const daysSinceAnchor = daysBetweenKeys(recurrence.anchor, key);
+
+  switch (recurrence.type) {
+    case RECURRENCE_TYPES.WEEKDAYS:
+      return recurrence.days.includes(weekdayOfKey(key));
+    case RECURRENCE_TYPES.EVERY_N_DAYS:
+      return daysSinceAnchor >= 0 && daysSinceAnchor % recurrence.interval === 0;
+    case RECURRENCE_TYPES.EVERY_N_WEEKS:
+      return daysSinceAnchor >= 0 && daysSinceAnchor % (recurrence.interval * 7) === 0;
+    default:
+      return true;
+  }
+};
+
+// Pill columns that make up its dose schedule. Edits keep the replaced schedule in
+// `schedule_history` as `{ ...fields, valid_until }`, so past doses are judged by it.
+export const SCHEDULE_FIELDS = ['time', 'times', 'recurrence', 'start_date', 'end_date', 'total_doses'];
+
+// Each schedule a pill has had, oldest first, as the pill with that schedule and the
+// instants it applied between (`validFrom`, `validUntil`; null for an open end)
+export const getScheduleVersions = (pill) => {
+  const history = [...(pill.schedule_history || [])]
+    .sort((a, b) => new Date(a.valid_until) - new Date(b.valid_until));
+
+  let validFrom = null;
+  const versions = history.map(({ valid_until: validUntil, ...schedule }) => {
+    const version = { ...pill, ...schedule, validFrom, validUntil: new Date(validUntil) };
+    validFrom = version.validUntil;
+    return version;
+  });
+
+  return [...versions, { ...pill, validFrom, validUntil: null }];
+};
+
+// Key identifying one dose slot of a pill on a calendar day
+export const getSlotKey = (pillId, dateKey, time) => `${pillId}|${dateKey}|${time}`;
+
+// Calendar day of the slot a log belongs to
+// (older logs have no scheduled_at and were always taken on their slot's day)
+export const getLogDateKey = (log) => toDateKey(new Date(log.scheduled_at || log.taken_at));
+
+// Slot key of a log
+export const getLogSlotKey = (log) => getSlotKey(log.pill_id, getLogDateKey(log), log.scheduled_time);
+
+// Every dose slot the pills were due for between two calendar days (inclusive),
+// limited to the time each pill existed and was running, by the schedule of the time
+export const getExpectedSlots = (pills, fromKey, toKey) => {
+  const slots = [];
+  const pillVersions = pills.map(pill => ({ pill, versions: getScheduleVersions(pill) }));
+
+  for (let key = fromKey; key <= toKey; key = addDaysToKey(key, 1)) {
+    for (const { pill, versions } of pillVersions) {
+      const createdKey = toDateKey(new Date(pill.created_at));
+      const completedKey = pill.completed_at ? toDateKey(new Date(pill.completed_at)) : null;
+
+      if (key < createdKey || (completedKey && key > completedKey)) {
+        continue;
+      }
+
+      for (const version of versions) {
+        if (!isDoseDay(version, key)) {
+          continue;
+        }
+
+        for (const time of getPillTimes(version)) {
+          const scheduledAt = zonedTimeToDate(key, time);
+
+          // Slots that passed before the pill was added or after it went to the trash
+          // are not expected, and each schedule only covers the time it applied
+          if (scheduledAt < new Date(pill.created_at) ||
+            (pill.archived_at && scheduledAt >= new Date(pill.archived_at)) ||
+            (version.validFrom && scheduledAt < version.validFrom) ||
+            (version.validUntil && scheduledAt >= version.validUntil)) {
+            continue;
+          }
+
+          slots.push({
+            pill,
+            date: key,
+            time,
+            scheduledAt,
+            key: getSlotKey(pill.id, key, time),
+          });
+        }
+      }
+    }
+  }
+
+  return slots;
+};
@@ -0,0 +1,41 @@
+import { createClient } from '@supabase/supabase-js';
+import { runMissedDoseAlerts } from '../_shared/missedDoseAlerts.js';
+import { createDefaultNotifiers } from '../_shared/notifiers.js';
+
+// Missed dose alerts edge function
+// Run it every few minutes, e.g. with pg_cron and pg_net:
+//   select cron.schedule('missed-dose-alerts', '*/5 * * * *', $$
+//     select net.http_post(url := '<project url>/functions/v1/missed-dose-alerts',
+//       headers := '{"Authorization": "Bearer <service role key>"}'::jsonb)
+//   $$);
+
+Deno.serve(async (request) => {
+  const supabaseUrl = Deno.env.get('SUPABASE_URL');
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+
+  // Only the scheduler (holding the service role key) may trigger a run
+  if (request.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+
+  try {
+    const supabase = createClient(supabaseUrl, serviceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false },
+    });
+
+    const summary = await runMissedDoseAlerts({
+      supabase,
+      notifiers: createDefaultNotifiers({ supabase, env: Deno.env.toObject() }),
+    });
+
+    return new Response(JSON.stringify(summary), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    console.error('Missed dose alerts failed:', error.message);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+});
@@ -0,0 +1,8 @@
+-- A pill owns a list of dose times instead of a single `time`.
+alter table public.pills
+  add column if not exists times text[] not null default '{}';
+
+-- Backfill existing single-time pills
+update public.pills
+  set times = array[time]
+  where cardinality(times) = 0 and time is not null;
@@ -0,0 +1,5 @@
+-- Recurrence rule of a pill:
+-- { "type": "daily" | "weekdays" | "every_n_days" | "every_n_weeks",
+--   "days": [0-6], "interval": N, "anchor": "YYYY-MM-DD" }
+alter table public.pills
+  add column if not exists recurrence jsonb not null default '{"type": "daily"}'::jsonb;
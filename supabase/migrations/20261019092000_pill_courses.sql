@@ -0,0 +1,11 @@
+-- Optional course limits and lifecycle state of a pill.
+-- Completed pills keep their pill_logs history.
+alter table public.pills
+  add column if not exists start_date date,
+  add column if not exists end_date date,
+  add column if not exists total_doses integer check (total_doses > 0),
+  add column if not exists status text not null default 'active'
+    check (status in ('active', 'completed')),
+  add column if not exists completed_at timestamptz;
+
+create index if not exists pills_user_status_idx on public.pills (user_id, status);
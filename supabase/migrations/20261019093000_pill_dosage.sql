@@ -0,0 +1,8 @@
+-- Structured dose of a pill, e.g. 500 mg, 2 tablets per dose.
+alter table public.pills
+  add column if not exists dose_amount numeric check (dose_amount > 0),
+  add column if not exists dose_unit text
+    check (dose_unit in ('mg', 'mcg', 'g', 'ml', 'iu', 'puff', 'drop')),
+  add column if not exists form text
+    check (form in ('tablet', 'capsule', 'syrup', 'injection', 'inhaler', 'drops', 'cream', 'other')),
+  add column if not exists dose_quantity numeric not null default 1 check (dose_quantity > 0);
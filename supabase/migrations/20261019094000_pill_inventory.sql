@@ -0,0 +1,5 @@
+-- Inventory tracking. A null stock_count means stock is not tracked.
+alter table public.pills
+  add column if not exists stock_count numeric check (stock_count >= 0),
+  add column if not exists pack_size numeric check (pack_size > 0),
+  add column if not exists refill_threshold numeric not null default 0 check (refill_threshold >= 0);
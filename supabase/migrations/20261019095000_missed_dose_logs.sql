@@ -0,0 +1,19 @@
+-- Missed doses are materialized as pill_logs rows with status 'missed'.
+-- scheduled_at is the slot instant a log belongs to; for missed rows
+-- taken_at holds the same instant so day-range queries include them.
+alter table public.pill_logs
+  add column if not exists scheduled_at timestamptz;
+
+alter table public.pill_logs
+  alter column minutes_difference drop not null;
+
+alter table public.pill_logs
+  drop constraint if exists pill_logs_status_check;
+
+alter table public.pill_logs
+  add constraint pill_logs_status_check
+    check (status in ('on_time', 'late', 'early', 'missed'));
+
+-- One log per dose slot (older rows without scheduled_at are unaffected)
+alter table public.pill_logs
+  add constraint pill_logs_pill_slot_key unique (pill_id, scheduled_at);
@@ -0,0 +1,15 @@
+-- Doses can be skipped on purpose, optionally with a reason.
+-- Skipped doses are counted separately from missed ones.
+alter table public.pill_logs
+  add column if not exists skip_reason text;
+
+alter table public.pill_logs
+  drop constraint if exists pill_logs_status_check;
+
+alter table public.pill_logs
+  add constraint pill_logs_status_check
+    check (status in ('on_time', 'late', 'early', 'missed', 'skipped'));
+
+alter table public.pill_logs
+  add constraint pill_logs_skip_reason_check
+    check (skip_reason is null or skip_reason in ('doctor', 'fasting', 'side_effects', 'other'));
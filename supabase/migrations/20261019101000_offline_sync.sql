@@ -0,0 +1,27 @@
+-- Offline edits are replayed from the device's queue. updated_at tells the
+-- replay whether a row was changed on another device after the edit was made.
+alter table public.pills
+  add column if not exists updated_at timestamptz not null default now();
+
+alter table public.pill_logs
+  add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists pills_set_updated_at on public.pills;
+create trigger pills_set_updated_at
+  before update on public.pills
+  for each row execute function public.set_updated_at();
+
+drop trigger if exists pill_logs_set_updated_at on public.pill_logs;
+create trigger pill_logs_set_updated_at
+  before update on public.pill_logs
+  for each row execute function public.set_updated_at();
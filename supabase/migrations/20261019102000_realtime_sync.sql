@@ -0,0 +1,7 @@
+-- Devices signed in to the same account follow each other's pill and log changes
+-- through Supabase Realtime. Row level security still limits each user to their own rows.
+alter publication supabase_realtime add table public.pills, public.pill_logs;
+
+-- Deleted rows are sent with their old values, so the user_id filter applies to them too
+alter table public.pills replica identity full;
+alter table public.pill_logs replica identity full;
@@ -0,0 +1,98 @@
+-- Patients share their pills and logs with caregivers, invited by email.
+-- 'read' lets the caregiver follow the schedule; 'manage' also lets them change it.
+create table if not exists public.pill_shares (
+  id uuid primary key default gen_random_uuid(),
+  patient_id uuid not null references auth.users (id) on delete cascade,
+  patient_name text,
+  caregiver_email text not null,
+  caregiver_id uuid references auth.users (id) on delete cascade,
+  permission text not null default 'read',
+  status text not null default 'pending',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint pill_shares_permission_check check (permission in ('read', 'manage')),
+  constraint pill_shares_status_check check (status in ('pending', 'accepted')),
+  constraint pill_shares_patient_caregiver_key unique (patient_id, caregiver_email)
+);
+
+create index if not exists pill_shares_caregiver_email_idx
+  on public.pill_shares (lower(caregiver_email));
+
+drop trigger if exists pill_shares_set_updated_at on public.pill_shares;
+create trigger pill_shares_set_updated_at
+  before update on public.pill_shares
+  for each row execute function public.set_updated_at();
+
+alter table public.pill_shares enable row level security;
+
+drop policy if exists "Patients manage their shares" on public.pill_shares;
+create policy "Patients manage their shares" on public.pill_shares
+  for all using (auth.uid() = patient_id) with check (auth.uid() = patient_id);
+
+-- Caregivers see the invitations sent to their email and may decline or leave them;
+-- accepting goes through accept_pill_share so they cannot change the permission
+drop policy if exists "Caregivers see their invitations" on public.pill_shares;
+create policy "Caregivers see their invitations" on public.pill_shares
+  for select using (lower(caregiver_email) = lower(auth.jwt() ->> 'email'));
+
+drop policy if exists "Caregivers leave shares" on public.pill_shares;
+create policy "Caregivers leave shares" on public.pill_shares
+  for delete using (lower(caregiver_email) = lower(auth.jwt() ->> 'email'));
+
+create or replace function public.accept_pill_share(share_id uuid)
+returns public.pill_shares
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  share public.pill_shares;
+begin
+  update public.pill_shares
+     set status = 'accepted', caregiver_id = auth.uid()
+   where id = share_id
+     and lower(caregiver_email) = lower(auth.jwt() ->> 'email')
+  returning * into share;
+
+  if share.id is null then
+    raise exception 'Invitation not found';
+  end if;
+
+  return share;
+end;
+$$;
+
+-- Whether the current user may read (or, with manage, change) a patient's data
+create or replace function public.has_pill_access(patient uuid, manage boolean default false)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select patient = auth.uid() or exists (
+    select 1
+      from public.pill_shares s
+     where s.patient_id = patient
+       and s.caregiver_id = auth.uid()
+       and s.status = 'accepted'
+       and (not manage or s.permission = 'manage')
+  );
+$$;
+
+-- Added next to the owners' own policies; policies of the same command are OR'ed
+drop policy if exists "Caregivers read shared pills" on public.pills;
+create policy "Caregivers read shared pills" on public.pills
+  for select using (public.has_pill_access(user_id));
+
+drop policy if exists "Caregivers manage shared pills" on public.pills;
+create policy "Caregivers manage shared pills" on public.pills
+  for all using (public.has_pill_access(user_id, true)) with check (public.has_pill_access(user_id, true));
+
+drop policy if exists "Caregivers read shared pill logs" on public.pill_logs;
+create policy "Caregivers read shared pill logs" on public.pill_logs
+  for select using (public.has_pill_access(user_id));
+
+drop policy if exists "Caregivers manage shared pill logs" on public.pill_logs;
+create policy "Caregivers manage shared pill logs" on public.pill_logs
+  for all using (public.has_pill_access(user_id, true)) with check (public.has_pill_access(user_id, true));
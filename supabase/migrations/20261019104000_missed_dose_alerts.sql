@@ -0,0 +1,54 @@
+-- Emergency contacts are told when a dose is missed, by the missed-dose-alerts job
+-- (supabase/functions/missed-dose-alerts, or scripts/missed-dose-alerts.mjs locally).
+create table if not exists public.emergency_contacts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  -- push: target is the contact's PillTracker account email
+  -- email: target is an email address; webhook: target is an https URL
+  channel text not null,
+  target text not null,
+  created_at timestamptz not null default now(),
+  constraint emergency_contacts_channel_check check (channel in ('push', 'email', 'webhook')),
+  constraint emergency_contacts_user_target_key unique (user_id, channel, target)
+);
+
+alter table public.emergency_contacts enable row level security;
+
+drop policy if exists "Users manage their emergency contacts" on public.emergency_contacts;
+create policy "Users manage their emergency contacts" on public.emergency_contacts
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- Expo push tokens of signed-in devices, so push contacts can be reached by email
+create table if not exists public.push_tokens (
+  token text primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email text not null,
+  platform text,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists push_tokens_email_idx on public.push_tokens (lower(email));
+
+alter table public.push_tokens enable row level security;
+
+drop policy if exists "Users manage their push tokens" on public.push_tokens;
+create policy "Users manage their push tokens" on public.push_tokens
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- One alert per contact and dose slot; written by the job with the service role
+create table if not exists public.missed_dose_alerts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  pill_id uuid not null references public.pills (id) on delete cascade,
+  contact_id uuid not null references public.emergency_contacts (id) on delete cascade,
+  scheduled_at timestamptz not null,
+  sent_at timestamptz not null default now(),
+  constraint missed_dose_alerts_contact_slot_key unique (contact_id, pill_id, scheduled_at)
+);
+
+alter table public.missed_dose_alerts enable row level security;
+
+drop policy if exists "Users read their missed dose alerts" on public.missed_dose_alerts;
+create policy "Users read their missed dose alerts" on public.missed_dose_alerts
+  for select using (auth.uid() = user_id);
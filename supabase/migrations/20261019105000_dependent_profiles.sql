@@ -0,0 +1,42 @@
+-- Dependent profiles (e.g. children) whose pills the account holder manages under
+-- the same login. Pills without a profile_id are the account holder's own.
+create table if not exists public.profiles (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  avatar text not null,
+  -- IANA zone of the profile's day; null follows the account's time zone
+  timezone text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists profiles_user_id_idx on public.profiles (user_id);
+
+drop trigger if exists profiles_set_updated_at on public.profiles;
+create trigger profiles_set_updated_at
+  before update on public.profiles
+  for each row execute function public.set_updated_at();
+
+alter table public.profiles enable row level security;
+
+drop policy if exists "Users manage their profiles" on public.profiles;
+create policy "Users manage their profiles" on public.profiles
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+drop policy if exists "Caregivers read shared profiles" on public.profiles;
+create policy "Caregivers read shared profiles" on public.profiles
+  for select using (public.has_pill_access(user_id));
+
+drop policy if exists "Caregivers manage shared profiles" on public.profiles;
+create policy "Caregivers manage shared profiles" on public.profiles
+  for all using (public.has_pill_access(user_id, true)) with check (public.has_pill_access(user_id, true));
+
+-- Deleting a profile deletes its pills
+alter table public.pills
+  add column if not exists profile_id uuid references public.profiles (id) on delete cascade;
+
+create index if not exists pills_profile_id_idx on public.pills (profile_id);
+
+alter publication supabase_realtime add table public.profiles;
+alter table public.profiles replica identity full;
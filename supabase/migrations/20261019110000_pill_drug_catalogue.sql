@@ -0,0 +1,6 @@
+-- Pills picked from the bundled drug catalogue (assets/data/drugs.json) keep the
+-- entry's id, e.g. 'parol-500mg-tablet'; free-text pills leave it null
+alter table public.pills
+  add column if not exists drug_id text;
+
+create index if not exists pills_drug_id_idx on public.pills (drug_id);
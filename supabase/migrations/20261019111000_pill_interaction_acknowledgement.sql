@@ -0,0 +1,4 @@
+-- Interaction warnings the user accepted when adding a pill:
+-- { acknowledged_at, warnings: [{ pill_id, pill_name, severity }] }
+alter table public.pills
+  add column if not exists interaction_acknowledgement jsonb;
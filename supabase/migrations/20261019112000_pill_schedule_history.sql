@@ -0,0 +1,5 @@
+-- Schedules a pill had before it was edited, oldest first:
+-- [{ time, times, recurrence, start_date, end_date, total_doses, valid_until }]
+-- Past doses are judged against the schedule that applied when they were due.
+alter table public.pills
+  add column if not exists schedule_history jsonb not null default '[]'::jsonb;
@@ -0,0 +1,8 @@
+-- Deleted pills go to the trash first: 'archived' pills are hidden and not reminded,
+-- and keep their pill_logs until they are restored or purged.
+alter table public.pills
+  drop constraint if exists pills_status_check;
+
+alter table public.pills
+  add constraint pills_status_check check (status in ('active', 'completed', 'archived')),
+  add column if not exists archived_at timestamptz;
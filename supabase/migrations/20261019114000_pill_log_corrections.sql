@@ -0,0 +1,58 @@
+-- Doses can be logged after the fact, and recent logs corrected or deleted.
+-- recorded_at is when such a log was entered; null for logs recorded as they happened.
+alter table public.pill_logs
+  add column if not exists recorded_at timestamptz;
+
+-- Audit trail of dose logs: every change or removal, with the row before and after
+-- and who made it. Written by a trigger, so edits replayed from offline devices count.
+create table if not exists public.pill_log_edits (
+  id uuid primary key default gen_random_uuid(),
+  log_id uuid not null,
+  pill_id uuid not null references public.pills (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  action text not null,
+  old_values jsonb not null,
+  new_values jsonb,
+  edited_by uuid default auth.uid(),
+  edited_at timestamptz not null default now(),
+  constraint pill_log_edits_action_check check (action in ('update', 'delete'))
+);
+
+create index if not exists pill_log_edits_log_id_idx
+  on public.pill_log_edits (log_id, edited_at);
+
+alter table public.pill_log_edits enable row level security;
+
+-- Read by whoever can read the logs; nobody writes it directly
+drop policy if exists "Users read their pill log edits" on public.pill_log_edits;
+create policy "Users read their pill log edits" on public.pill_log_edits
+  for select using (public.has_pill_access(user_id));
+
+create or replace function public.record_pill_log_edit()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'DELETE' then
+    -- Logs removed along with their pill take its history with them
+    if exists (select 1 from public.pills where id = old.pill_id) then
+      insert into public.pill_log_edits (log_id, pill_id, user_id, action, old_values)
+      values (old.id, old.pill_id, old.user_id, 'delete', to_jsonb(old));
+    end if;
+    return old;
+  end if;
+
+  if (to_jsonb(new) - 'updated_at') is distinct from (to_jsonb(old) - 'updated_at') then
+    insert into public.pill_log_edits (log_id, pill_id, user_id, action, old_values, new_values)
+    values (new.id, new.pill_id, new.user_id, 'update', to_jsonb(old), to_jsonb(new));
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists pill_logs_record_edit on public.pill_logs;
+create trigger pill_logs_record_edit
+  after update or delete on public.pill_logs
+  for each row execute function public.record_pill_log_edit();
@@ -0,0 +1,38 @@
+-- Contact targets are only validated in the app, yet the missed-dose-alerts job acts
+-- on them with the service role. Check them in the database too.
+
+-- Emails are stored lowercase and without pattern characters, so push contacts are
+-- matched to exactly one account
+update public.emergency_contacts
+   set target = lower(trim(target))
+ where channel in ('push', 'email');
+
+alter table public.emergency_contacts
+  drop constraint if exists emergency_contacts_target_check;
+
+-- Rows the app would never have written are dropped rather than alerted
+delete from public.emergency_contacts
+ where not case channel
+   when 'webhook' then target ~ '^https://[^\s]+$'
+   else target ~ '^[^\s@%*,()]+@[^\s@%*,()]+\.[^\s@%*,()]+$'
+ end;
+
+alter table public.emergency_contacts
+  add constraint emergency_contacts_target_check check (
+    case channel
+      when 'webhook' then target ~ '^https://[^\s]+$'
+      else target = lower(target) and target ~ '^[^\s@%*,()]+@[^\s@%*,()]+\.[^\s@%*,()]+$'
+    end
+  );
+
+-- A device's token may only be registered under its account's own email; otherwise
+-- anyone could receive the alerts meant for another user's contacts
+delete from public.push_tokens t
+ using auth.users u
+ where u.id = t.user_id
+   and lower(t.email) <> lower(u.email);
+
+drop policy if exists "Users manage their push tokens" on public.push_tokens;
+create policy "Users manage their push tokens" on public.push_tokens
+  for all using (auth.uid() = user_id)
+  with check (auth.uid() = user_id and lower(email) = lower(auth.jwt() ->> 'email'));
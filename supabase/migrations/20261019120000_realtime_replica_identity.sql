@@ -0,0 +1,7 @@
+-- Deletes cannot be filtered by user_id after all: under row level security Realtime
+-- sends them with the primary key only, whatever the replica identity. The app
+-- subscribes to every delete and drops the rows it has cached under that id
+-- (services/realtime.js), and updates are applied from their new row, so the full old
+-- row 20261019102000_realtime_sync asked for is not needed.
+alter table public.pills replica identity default;
+alter table public.pill_logs replica identity default;